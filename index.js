@@ -1 +1,8 @@
-module.exports = require('./lib/parkesController');
+const ParkesController = require('./lib/parkesController');
+const { MemoryStore } = require('./lib/cache');
+const { OutboxDispatcher } = require('./lib/outbox');
+
+ParkesController.MemoryStore = MemoryStore;
+ParkesController.OutboxDispatcher = OutboxDispatcher;
+
+module.exports = ParkesController;
@@ -0,0 +1,244 @@
+'use strict';
+
+const _ = require('lodash');
+const Sequelize = require('sequelize');
+const { RestError } = require('parkes-rest-error');
+const { associationColumn, includeAssociationPath } = require('./include');
+
+const FUNCTIONS = ['count', 'sum', 'avg', 'min', 'max'];
+
+// Databases return these as strings when they could overflow a javascript number
+const NUMERIC_FUNCTIONS = ['count', 'sum', 'avg'];
+
+/**
+  * Builds the query for index in aggregate mode from ?aggregate= and ?groupBy=
+  *
+  * ?aggregate= is a comma separated list of count (the number of records) or
+  * function:attribute where function is sum, avg, min or max
+  * ?groupBy= is a comma separated list of columns, columns of associated models
+  * are named by their association alias (and are included in the query)
+  * ?sort= may sort by the group columns or the aggregates (eg -sum:amount)
+  *
+  *		?aggregate=count,sum:amount&groupBy=status&sort=-sum:amount
+  *
+  * Models can only be aggregated if aggregatable or groupable is set
+  * aggregatable contains attributes, which may be used with every function, or
+  * objects that declare the functions an attribute may be used with
+  * eg ['amount', { attribute: 'createdAt', functions: ['min', 'max'] }]
+  *
+  * Only the includes that filter the records (those with a where or required) are
+  * kept, along with the associations of searchPaths (which the where refers to)
+  * A join to a hasMany or belongsToMany association can repeat a record, so count
+  * counts distinct records, and sum and avg are refused if a join could repeat
+  * the values they add up (joins to the associations grouped by or aggregated
+  * are allowed, as they are what the values are for)
+  *
+  * @param {Object} ctx Koa context
+  * @param {Object[]} include The includes of the query (their attributes are not selected)
+  * @param {Model} modelClass Sequelize model being queried
+  * @param {Array} options.aggregatable Attributes that may be aggregated
+  * @param {string[]} options.groupable Columns that may be grouped by
+  * @param {Array[]} searchPaths Association paths used by the search (see search.js)
+  * @returns {Object} { aggregates, groups, query } aggregates and groups describe the
+  *		columns of the result (see formatAggregates), query has the attributes, group,
+  *		order and include for findAll
+  * @throws {RestError} 400 if an aggregate or group is not allowed
+  */
+function buildAggregate(ctx, include, modelClass, options, searchPaths = []) {
+	if (_.isEmpty(options.aggregatable) && _.isEmpty(options.groupable)) {
+		throw aggregateError(`${modelClass.name} can not be aggregated`);
+	}
+
+	const hidden = { attributes: [] };
+	let newInclude = searchPaths.reduce((result, path) =>
+		includeAssociationPath(result, path, hidden, hidden), filteringIncludes(include));
+
+	const groups = parseList(ctx.query.groupBy).map((field) => {
+		if (!(options.groupable || []).includes(field)) {
+			throw aggregateError(`You cannot group by ${field}`);
+		}
+
+		const { path, col } = associationColumn(modelClass, field, aggregateError);
+		if (path.length) newInclude = includeAssociationPath(newInclude, path, hidden, hidden);
+
+		return { name: field, path, expression: col };
+	});
+
+	const aggregates = parseList(ctx.query.aggregate).map((name) => {
+		const [fn, attribute] = name.split(':');
+		if (!FUNCTIONS.includes(fn)) {
+			throw aggregateError(`Unknown aggregate function ${fn} (valid functions are ${FUNCTIONS.join(', ')})`);
+		}
+
+		if (fn === 'count') {
+			if (attribute) throw aggregateError('count does not take an attribute');
+			return { name, fn };
+		}
+
+		if (!attribute) throw aggregateError(`${fn} needs an attribute, eg ${fn}:amount`);
+		const allowed = normaliseAggregatable(options.aggregatable);
+		if (!_.has(allowed, [attribute]) || !allowed[attribute].includes(fn)) {
+			throw aggregateError(`You cannot ${fn} ${attribute}`);
+		}
+
+		const { path, col } = associationColumn(modelClass, attribute, aggregateError);
+		if (path.length) newInclude = includeAssociationPath(newInclude, path, hidden, hidden);
+
+		return {
+			name, fn, attribute, path, expression: Sequelize.fn(fn, col),
+		};
+	});
+
+	if (!aggregates.length) throw aggregateError('aggregate must name at least one aggregate, eg count');
+
+	const repeating = multiAssociationPaths(modelClass, newInclude);
+	aggregates.filter(aggregate => ['sum', 'avg'].includes(aggregate.fn)).forEach((aggregate) => {
+		const allowed = groups.concat(aggregate).map(column => aliasesOf(column.path));
+		const join = repeating.find(aliases =>
+			!allowed.some(path => _.isEqual(path.slice(0, aliases.length), aliases)));
+		if (join) {
+			throw aggregateError(`You cannot ${aggregate.fn} ${aggregate.attribute} here, as joining ${join.join('.')} can repeat records`);
+		}
+	});
+
+	// Joins can repeat a record, so count distinct records if there are any
+	const countColumn = Sequelize.col(`${modelClass.name}.${modelClass.primaryKeyAttribute || 'id'}`);
+	const counted = newInclude.length ? Sequelize.fn('DISTINCT', countColumn) : countColumn;
+	aggregates.filter(aggregate => aggregate.fn === 'count').forEach((aggregate) => {
+		aggregate.expression = Sequelize.fn('count', counted);
+	});
+
+	const query = {
+		attributes: groups.concat(aggregates).map(column => [column.expression, column.name]),
+		group: groups.map(group => group.expression),
+		order: aggregateOrder(ctx.query.sort, groups, aggregates),
+		include: newInclude,
+	};
+
+	return { aggregates, groups, query };
+}
+
+/**
+  * Convert the raw rows of an aggregate query into results such as
+  * { status: 'paid', count: 12, sum: { amount: 1500 } }
+  * The results respond to toPublic and toPrivate (returning themselves) so that
+  * they can be presented like records
+  */
+function formatAggregates(rows, aggregates, groups) {
+	return rows.map((row) => {
+		const result = {};
+
+		groups.forEach(({ name }) => _.set(result, name, row[name]));
+		aggregates.forEach(({ name, fn, attribute }) => {
+			let value = row[name];
+			if (NUMERIC_FUNCTIONS.includes(fn) && value !== null && value !== undefined) {
+				value = Number(value);
+			}
+			if (attribute) _.set(result, [fn, attribute], value);
+			else result[fn] = value;
+		});
+
+		const present = () => result;
+		Object.defineProperty(result, 'toPublic', { value: present });
+		Object.defineProperty(result, 'toPrivate', { value: present });
+
+		return result;
+	});
+}
+
+/**
+  * Order by ?sort= (which may only name the groups and aggregates of the query),
+  * or by the groups
+  */
+function aggregateOrder(sort, groups, aggregates) {
+	if (!sort) return groups.map(group => [group.expression, 'ASC']);
+
+	const columns = groups.concat(aggregates);
+
+	return parseList(sort).map((field) => {
+		const descending = field.startsWith('-');
+		const name = descending ? field.slice(1) : field;
+		const column = columns.find(c => c.name === name);
+		if (!column) {
+			throw aggregateError(`You cannot sort by ${name}, only by the groups and aggregates requested`);
+		}
+
+		return [column.expression, descending ? 'DESC' : 'ASC'];
+	});
+}
+
+/**
+  * Map aggregatable to { attribute: [functions] }
+  */
+function normaliseAggregatable(aggregatable) {
+	const allowed = {};
+	(aggregatable || []).forEach((item) => {
+		if (_.isString(item)) {
+			allowed[item] = FUNCTIONS;
+		} else {
+			allowed[item.attribute] = item.functions || FUNCTIONS;
+		}
+	});
+
+	return allowed;
+}
+
+/**
+  * Copy of the includes that filter the records (and the includes above them), where
+  * no attributes of the associations are selected, as they are not grouped by
+  * Includes that don't filter are left out as they only add rows
+  */
+function filteringIncludes(include) {
+	return [].concat(include || []).map((item) => {
+		const options = item.model ? item : { model: item };
+		const nested = filteringIncludes(options.include);
+		const filters = options.required === undefined ? !!options.where : options.required;
+		if (!filters && !nested.length) return null;
+
+		const copy = Object.assign({}, options, { attributes: [] });
+		if (options.include) copy.include = nested;
+		return copy;
+	}).filter(item => item);
+}
+
+/**
+  * The alias paths (eg ['campaign', 'donations']) of the hasMany and belongsToMany
+  * associations joined by include, which can repeat the records of the query
+  */
+function multiAssociationPaths(modelClass, include, parents = []) {
+	return _.flatMap([].concat(include || []), (item) => {
+		const associations = modelClass.associations || {};
+		const association = _.isString(item.association) ? associations[item.association] :
+			item.association || _.values(associations)
+				.find(a => (item.as ? a.as === item.as : a.target === item.model));
+		if (!association) return [];
+
+		const aliases = parents.concat(association.as);
+		const nested = multiAssociationPaths(association.target, item.include, aliases);
+
+		return association.isMultiAssociation ? [aliases].concat(nested) : nested;
+	});
+}
+
+function aliasesOf(path) {
+	return (path || []).map(step => step.as);
+}
+
+function parseList(value) {
+	if (!value) return [];
+
+	return _.flatten([value])
+		.join(',')
+		.split(',')
+		.map(item => item.trim())
+		.filter(item => item);
+}
+
+function aggregateError(message) {
+	return new RestError({ status: 400, code: 'invalid value', message });
+}
+
+module.exports = {
+	buildAggregate,
+	formatAggregates,
+};
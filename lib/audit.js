@@ -0,0 +1,59 @@
+'use strict';
+
+const _ = require('lodash');
+
+// Attributes that are never written to the audit trail
+const DEFAULT_EXCLUDE = ['password', 'privateKey'];
+
+/**
+  * Fill in the defaults for options.audit
+  *
+  * @param {boolean|Object} audit true, or { model, exclude, actor }
+  * @param {string} audit.model Name of the audit model in options.models (default 'Audit')
+  * @param {string[]} audit.exclude Attributes that are not recorded (default password, privateKey)
+  * @param {function} audit.actor (ctx) => the id of the user making the change
+  *		(default ctx.state.user.id)
+  * @returns {Object} The options, or null if auditing is off
+  */
+function auditOptions(audit) {
+	if (!audit) return null;
+
+	return _.defaults(_.isObject(audit) ? Object.assign({}, audit) : {}, {
+		model: 'Audit',
+		exclude: DEFAULT_EXCLUDE,
+		actor: ctx => _.get(ctx, 'state.user.id', null),
+	});
+}
+
+/**
+  * The values of the attributes of a record, without associations or excluded attributes
+  *
+  * @param {Model} record Sequelize record (or plain object)
+  * @param {Object} modelClass The record's model, its rawAttributes are recorded
+  * @param {string[]} exclude Attributes not to record
+  * @returns {Object} Plain object of values
+  */
+function auditValues(record, modelClass, exclude) {
+	const values = record.get ? record.get({ plain: true }) : record;
+	const attributes = modelClass.rawAttributes ?
+		Object.keys(modelClass.rawAttributes) : Object.keys(values);
+
+	return _.cloneDeep(_.pick(values, _.difference(attributes, exclude)));
+}
+
+/**
+  * The attributes that differ between two sets of values
+  * @returns {Object} { previous, current } holding only the changed attributes
+  */
+function auditChanges(previous, current) {
+	const keys = _.union(Object.keys(previous), Object.keys(current))
+		.filter(key => !_.isEqual(previous[key], current[key]));
+
+	return { previous: _.pick(previous, keys), current: _.pick(current, keys) };
+}
+
+module.exports = {
+	auditChanges,
+	auditOptions,
+	auditValues,
+};
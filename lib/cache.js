@@ -0,0 +1,122 @@
+'use strict';
+
+const _ = require('lodash');
+const crypto = require('crypto');
+
+// Default number of entries held by MemoryStore
+const DEFAULT_MAX_ENTRIES = 1000;
+// Default number of seconds that entries are cached for
+const DEFAULT_TTL = 60;
+// Default number of seconds that versions are kept for (a day)
+const DEFAULT_VERSION_TTL = 86400;
+
+/**
+  * @class MemoryStore
+  * @description An in-memory least recently used cache, the default store for options.cache
+  *
+  * A store is any object with these async methods, so it can be backed by Redis or memcached
+  *	get(key) resolves to the value, or undefined/null if there is none
+  *	set(key, value, ttl) value is a string, ttl is in seconds (no expiry if it's not given)
+  *
+  * @param {integer} options.max Maximum number of entries (default 1000)
+  */
+class MemoryStore {
+	constructor(options) {
+		this.max = (options && options.max) || DEFAULT_MAX_ENTRIES;
+		this.entries = new Map();
+	}
+
+	async get(key) {
+		const entry = this.entries.get(key);
+		if (!entry) return undefined;
+
+		if (entry.expires && entry.expires <= Date.now()) {
+			this.entries.delete(key);
+			return undefined;
+		}
+
+		// Move to the end, as the most recently used
+		this.entries.delete(key);
+		this.entries.set(key, entry);
+
+		return entry.value;
+	}
+
+	async set(key, value, ttl) {
+		this.entries.delete(key);
+		this.entries.set(key, { value, expires: ttl ? Date.now() + (ttl * 1000) : null });
+
+		// Maps iterate in insertion order, so the first key is the least recently used
+		if (this.entries.size > this.max) this.entries.delete(this.entries.keys().next().value);
+	}
+}
+
+/**
+  * Fill in the defaults for options.cache
+  *
+  * @param {boolean|Object} cache true, or { store, ttl, versionTtl, bypass, scope, prefix }
+  * @param {Object} cache.store The store (default a MemoryStore)
+  * @param {integer|function} cache.ttl Seconds to cache for, or (ctx, action) => seconds
+  *		(default 60)
+  * @param {integer} cache.versionTtl Seconds to keep the versions of records and collections
+  *		for (default a day). Entries are cached for no longer than this, as an entry from
+  *		before a write could be used again once the version written has expired
+  * @param {function} cache.bypass (ctx) => true to neither read nor write the cache
+  * @param {function} cache.scope (ctx) => value that partitions the cache between callers
+  * @param {string} cache.prefix Prefix for keys in the store (default 'parkes')
+  * @returns {Object} The options, or null if caching is off
+  */
+function cacheOptions(cache) {
+	if (!cache) return null;
+
+	const options = _.defaults(_.isObject(cache) ? Object.assign({}, cache) : {}, {
+		ttl: DEFAULT_TTL,
+		versionTtl: DEFAULT_VERSION_TTL,
+		prefix: 'parkes',
+	});
+	if (!options.store) options.store = new MemoryStore();
+
+	return options;
+}
+
+/**
+  * Hash the parts of a cache key, objects are hashed with their keys sorted so that
+  * the order of query parameters doesn't matter
+  */
+function hashKey(parts) {
+	return crypto.createHash('sha1').update(JSON.stringify(sortKeys(parts))).digest('hex');
+}
+
+function sortKeys(value) {
+	if (Array.isArray(value)) return value.map(sortKeys);
+	if (!_.isPlainObject(value)) return value;
+
+	return _.fromPairs(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+}
+
+/* JSON that keeps Dates as Dates */
+function serialize(value) {
+	return JSON.stringify(value, function replaceDate(key, json) {
+		return this[key] instanceof Date ? { $date: json } : json;
+	});
+}
+
+function deserialize(json) {
+	return JSON.parse(json, (key, value) => (
+		_.isPlainObject(value) && _.keys(value).length === 1 && _.isString(value.$date) ?
+			new Date(value.$date) : value));
+}
+
+/* A value that's different every time, used to mark a change */
+function newVersion() {
+	return `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+module.exports = {
+	MemoryStore,
+	cacheOptions,
+	deserialize,
+	hashKey,
+	newVersion,
+	serialize,
+};
@@ -0,0 +1,209 @@
+'use strict';
+
+const _ = require('lodash');
+const crypto = require('crypto');
+const qs = require('qs');
+const { isPrivate } = require('parkes-router');
+const { RestError, addError } = require('parkes-rest-error');
+
+addError('precondition failed', {
+	title: 'The record has changed',
+	detail: 'The record has been changed since you fetched it, fetch it again before making changes',
+});
+addError('precondition required', {
+	title: 'Precondition required',
+	detail: 'Requests that change this record must include an If-Match or If-Unmodified-Since header',
+});
+
+/**
+  * Validators (ETag and Last-Modified) for conditional requests
+  *
+  * The ETag is built from the resource id and the value of the version column
+  * (which is updatedAt unless the model has a version column), and
+  * Last-Modified from updatedAt
+  * The ETag is weak, and ends with a hash of variant (see representation) so that
+  * different representations of the record have different ETags
+  *
+  * @param {Model} record Sequelize record
+  * @param {string} options.versionColumn Column that changes whenever the record changes
+  * @param {string} options.updatedAtColumn Column holding the time of the last change
+  * @param {string} options.resourceIdColumn Column used as the resource id
+  * @param {string} variant Identifies the representation of the record
+  * @returns {Object} { etag, lastModified } either may be undefined if the columns
+  *		are not present
+  */
+function recordValidators(record, options, variant) {
+	const version = valueOf(record, options.versionColumn);
+	const lastModified = valueOf(record, options.updatedAtColumn);
+	const id = valueOf(record, options.resourceIdColumn) || valueOf(record, 'id');
+
+	return {
+		etag: version === undefined ? undefined : weakETag(`${id}:${serialise(version)}`, variant),
+		lastModified: lastModified instanceof Date ? lastModified : undefined,
+	};
+}
+
+/**
+  * Validators for a collection, the ETag changes if any record changes or if
+  * the records in the collection (or the pagination) change
+  */
+function collectionValidators(records, pagination, options, variant) {
+	const validators = records.map(record => recordValidators(record, options));
+	if (validators.some(v => !v.etag)) return {};
+
+	const parts = validators.map(v => v.etag).concat(JSON.stringify(pagination || {}));
+	const dates = validators.map(v => v.lastModified).filter(date => date);
+
+	return {
+		etag: weakETag(parts.join('|'), variant),
+		lastModified: dates.length ? new Date(Math.max(...dates)) : undefined,
+	};
+}
+
+/**
+  * Identifies the representation of a response from the query of the request (which
+  * chooses eg ?fields= and ?private=), with the parameters in a fixed order
+  */
+function representation(ctx) {
+	const query = qs.stringify(_.omit(ctx.query, 'private'), { sort: (a, b) => a.localeCompare(b) });
+	return `${query}|${isPrivate(ctx) ? 'private' : 'public'}`;
+}
+
+/**
+  * Set ETag and Last-Modified on the response, and if it's a GET request with
+  * If-None-Match or If-Modified-Since that match, set the status to 304 Not Modified
+  */
+function respondConditionally(ctx, validators) {
+	const { etag, lastModified } = validators;
+
+	if (etag) ctx.set('ETag', etag);
+	if (lastModified) ctx.set('Last-Modified', lastModified.toUTCString());
+
+	const safe = ['GET', 'HEAD'].includes(ctx.method);
+	if (safe && isNotModified(ctx, validators)) ctx.status = 304;
+}
+
+function isNotModified(ctx, { etag, lastModified }) {
+	const ifNoneMatch = ctx.get('If-None-Match');
+	if (ifNoneMatch) return !!etag && matchesETag(ifNoneMatch, etag);
+
+	const ifModifiedSince = parseDate(ctx.get('If-Modified-Since'));
+	if (ifModifiedSince && lastModified) return seconds(lastModified) <= seconds(ifModifiedSince);
+
+	return false;
+}
+
+/**
+  * Check If-Match and If-Unmodified-Since before a write
+  * For writes to several records (bulk actions and imports) If-Match may list the
+  * ETags of all of them, and each record must match one
+  *
+  * @param {Object} ctx Koa context
+  * @param {Model} record The record to be written
+  * @param {Object} options As for recordValidators, plus
+  * @param {boolean} options.requirePreconditions If true, writes without a precondition
+  *		are rejected
+  * @throws {RestError} 412 if the record has changed, or 428 if a precondition is required
+  */
+function checkPreconditions(ctx, record, options) {
+	const ifMatch = ctx.get('If-Match');
+	const ifUnmodifiedSince = parseDate(ctx.get('If-Unmodified-Since'));
+
+	if (!ifMatch && !ifUnmodifiedSince) {
+		if (options.requirePreconditions) {
+			throw new RestError({
+				status: 428,
+				code: 'precondition required',
+				message: 'This request must include an If-Match or If-Unmodified-Since header',
+			});
+		}
+		return;
+	}
+
+	const { etag, lastModified } = recordValidators(record, options);
+	let stale;
+
+	if (ifMatch) {
+		// Any representation of the record will do
+		stale = !etag || !matchesETag(ifMatch, etag, recordTag);
+	} else {
+		stale = !lastModified || seconds(lastModified) > seconds(ifUnmodifiedSince);
+	}
+
+	if (stale) {
+		throw new RestError({
+			status: 412,
+			code: 'precondition failed',
+			message: 'The record has been modified since it was fetched',
+		});
+	}
+}
+
+/**
+  * True if the request has If-Match or If-Unmodified-Since
+  */
+function hasPreconditions(ctx) {
+	return !!(ctx.get('If-Match') || ctx.get('If-Unmodified-Since'));
+}
+
+/**
+  * Compare a list of ETags from a header against etag (weak comparison)
+  * @param {function} normalise Converts a tag to the part that is compared
+  */
+function matchesETag(header, etag, normalise = weakTag) {
+	if (header.trim() === '*') return true;
+
+	return header.split(',').some(tag => normalise(tag) === normalise(etag));
+}
+
+function weakTag(tag) {
+	return tag.trim().replace(/^W\//, '');
+}
+
+// The part of an ETag that identifies the version of the record (see weakETag)
+function recordTag(tag) {
+	return weakTag(tag).replace(/"/g, '').split('.')[0];
+}
+
+/**
+  * A weak ETag of the hash of value, followed by the hash of variant if there is one
+  * eg W/"x1Yz" or W/"x1Yz.a9Bc"
+  */
+function weakETag(value, variant) {
+	const tag = variant ? `${hash(value)}.${hash(variant)}` : hash(value);
+	return `W/"${tag}"`;
+}
+
+function hash(value) {
+	return crypto.createHash('sha1').update(value).digest('base64').replace(/=+$/, '');
+}
+
+function valueOf(record, column) {
+	if (!column) return undefined;
+	const value = record.get ? record.get(column) : record[column];
+	return value === null ? undefined : value;
+}
+
+function serialise(value) {
+	return value instanceof Date ? value.getTime() : value;
+}
+
+function parseDate(header) {
+	if (!header) return null;
+	const date = new Date(header);
+	return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// HTTP dates have a resolution of one second
+function seconds(date) {
+	return Math.floor(date.getTime() / 1000);
+}
+
+module.exports = {
+	checkPreconditions,
+	hasPreconditions,
+	collectionValidators,
+	recordValidators,
+	representation,
+	respondConditionally,
+};
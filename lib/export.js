@@ -0,0 +1,114 @@
+'use strict';
+
+const _ = require('lodash');
+const { Readable } = require('stream');
+const { RestError } = require('parkes-rest-error');
+
+const CONTENT_TYPES = {
+	csv: 'text/csv',
+	ndjson: 'application/x-ndjson',
+};
+
+/**
+  * The export format requested by ?format= or the Accept header
+  * ?format=json asks for the usual (paginated) response
+  * @returns {string} 'csv', 'ndjson' or undefined if an export was not requested
+  * @throws {RestError} 400 if ?format= is not a known format
+  */
+function exportFormat(ctx) {
+	const { format } = ctx.query;
+	if (format) {
+		if (format === 'json') return undefined;
+		if (!CONTENT_TYPES[format]) {
+			throw new RestError({
+				status: 400,
+				code: 'invalid value',
+				message: `format must be one of json, ${Object.keys(CONTENT_TYPES).join(', ')}`,
+			});
+		}
+		return format;
+	}
+
+	const accept = ctx.get('Accept') || '';
+	return Object.keys(CONTENT_TYPES).find(type => accept.includes(CONTENT_TYPES[type]));
+}
+
+/**
+  * Create a stream of rows in CSV or NDJSON
+  *
+  * nextBatch is called whenever the stream needs more rows, until it returns an
+  * empty array. The first batch is fetched before the stream is returned, so
+  * that an error in the query (or in authorizing the first batch) can still be
+  * sent as an error response
+  *
+  * @param {function} nextBatch async function returning the next array of rows (plain objects)
+  * @param {string} format 'csv' or 'ndjson'
+  * @param {string[]} columns Paths of the values to include in each row. If not given
+  *		CSV uses the keys of the first row and NDJSON writes each row whole
+  * @returns {Readable} The stream
+  */
+async function createExportStream(nextBatch, format, columns) {
+	let pending = await nextBatch();
+	let headings = columns;
+	let started = false;
+
+	function formatRows(rows) {
+		if (format === 'ndjson') {
+			return rows.map(row => `${JSON.stringify(headings ? _.pick(row, headings) : row)}\n`).join('');
+		}
+
+		let text = '';
+		if (!started) {
+			headings = headings || Object.keys(rows[0] || {});
+			text = csvLine(headings);
+		}
+		return text + rows.map(row => csvLine(headings.map(column => _.get(row, column)))).join('');
+	}
+
+	const stream = new Readable({
+		read() {
+			const batch = pending ? Promise.resolve(pending) : nextBatch();
+			pending = null;
+
+			batch.then((rows) => {
+				// CSV has a header even if there are no rows
+				const text = rows.length || (!started && headings) ? formatRows(rows) : '';
+				started = true;
+
+				if (text) stream.push(text);
+				if (!rows.length) stream.push(null);
+			}).catch(error => stream.emit('error', error));
+		},
+	});
+
+	return stream;
+}
+
+function csvLine(values) {
+	return `${values.map(csvValue).join(',')}\r\n`;
+}
+
+/**
+  * Format a value for CSV, quoting it if it contains separators or quotes
+  * Dates are written as ISO 8601 and objects as JSON
+  * Text that a spreadsheet would run as a formula is prefixed with '
+  */
+function csvValue(value) {
+	if (value === null || value === undefined) return '';
+
+	let text;
+	if (value instanceof Date) text = value.toISOString();
+	else if (_.isObject(value)) text = JSON.stringify(value);
+	else text = String(value);
+
+	if (!_.isNumber(value) && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = {
+	CONTENT_TYPES,
+	createExportStream,
+	csvValue,
+	exportFormat,
+};
@@ -0,0 +1,159 @@
+'use strict';
+
+const _ = require('lodash');
+const { RestError } = require('parkes-rest-error');
+const { isPrivate } = require('parkes-router');
+const { isReadable, readableAttributes: keptAttributes } = require('./readable');
+
+const ASSOCIATION_FIELDS = /^fields\[(.+)\]$/;
+
+/**
+  * Applies sparse fieldsets requested by ?fields= to a query
+  *
+  * ?fields=name,email selects the attributes of the model
+  * ?fields[user]=name selects the attributes of the included association user
+  *		(nested associations are separated by ., eg fields[user.profile]=bio)
+  *
+  * Requested fields must be readable, readable defaults to the attributes of the model
+  * (and of the associated models for includes). The primary key, resource id column
+  * and requiredAttributes (eg columns that authorize depends on) are always selected
+  * If options.readable is an array or { public, private }, requested fields must also
+  * be kept by it (see readable.js), as they would otherwise be removed from the response
+  *
+  * @param {Object} ctx Koa context
+  * @param {Object[]} include The includes of the query
+  * @param {Model} modelClass The model being queried
+  * @param {string[]} options.readableAttributes Attributes that can be requested
+  *		Attributes of associations are prefixed by the alias eg ['name', 'user.name']
+  * @param {string[]} options.requiredAttributes Attributes that are always selected
+  *		(prefixed by the alias in the same way)
+  * @param {string[]|Object|function} options.readable Attributes left in responses
+  * @param {string} options.resourceIdColumn Column used as the resource id
+  * @returns {Object} { attributes, include } attributes is undefined if ?fields= is not
+  *		present, include has attributes set for requested associations
+  * @throws {RestError} 400 if a field is not readable, or an association is not included
+  */
+function applyFields(ctx, include, modelClass, options) {
+	const requested = requestedFields(ctx);
+	let attributes;
+	let newInclude = include;
+
+	// A function depends on the record, so its attributes are only known when presenting
+	const { readable } = options;
+	const kept = readable && !_.isFunction(readable) ?
+		keptAttributes(readable, ctx, null, isPrivate(ctx)) : null;
+	const fieldOptions = Object.assign({}, options, { kept });
+
+	Object.keys(requested).forEach((path) => {
+		if (path === '') {
+			attributes = selectAttributes(modelClass, '', requested[path], fieldOptions);
+		} else {
+			newInclude = applyToInclude(newInclude, path.split('.'), path, requested[path], fieldOptions);
+		}
+	});
+
+	return { attributes, include: newInclude };
+}
+
+/**
+  * @returns {Object} Map of association path ('' for the model itself) to array of fields
+  */
+function requestedFields(ctx) {
+	const requested = {};
+
+	Object.keys(ctx.query).forEach((key) => {
+		let path;
+		if (key === 'fields') {
+			path = '';
+		} else {
+			const match = key.match(ASSOCIATION_FIELDS);
+			if (!match) return;
+			[, path] = match;
+		}
+
+		requested[path] = _.flatten([ctx.query[key]])
+			.join(',')
+			.split(',')
+			.map(field => field.trim())
+			.filter(field => field);
+	});
+
+	return requested;
+}
+
+/**
+  * The fields requested by ?fields= as paths, eg ['name', 'user.name']
+  * for ?fields=name&fields[user]=name
+  */
+function requestedPaths(ctx) {
+	const requested = requestedFields(ctx);
+
+	return _.flatMap(Object.keys(requested), path =>
+		requested[path].map(field => (path ? `${path}.${field}` : field)));
+}
+
+function selectAttributes(model, path, fields, options) {
+	const readable = readableAttributes(model, path, options);
+	const prefix = path ? `${path}.` : '';
+
+	fields.forEach((field) => {
+		if (!readable.includes(field) || (options.kept && !isReadable(`${prefix}${field}`, options.kept))) {
+			throw fieldsError(`You cannot request the field ${prefix}${field}`);
+		}
+	});
+
+	// Always load the columns needed to identify the record
+	const required = [model.primaryKeyAttribute || 'id', options.resourceIdColumn]
+		.filter(column => !model.rawAttributes || model.rawAttributes[column])
+		.concat(attributesAt(options.requiredAttributes || [], path));
+
+	return _.uniq(required.concat(fields));
+}
+
+function readableAttributes(model, path, options) {
+	if (!options.readableAttributes) return Object.keys(model.rawAttributes || {});
+
+	return attributesAt(options.readableAttributes, path);
+}
+
+/**
+  * Select the attributes in a list that belong to the association at path
+  * eg attributesAt(['name', 'user.name'], 'user') returns ['name']
+  */
+function attributesAt(list, path) {
+	const prefix = path ? `${path}.` : '';
+
+	return list
+		.filter(attribute => attribute.startsWith(prefix))
+		.map(attribute => attribute.slice(prefix.length))
+		.filter(attribute => !attribute.includes('.'));
+}
+
+/**
+  * Return a copy of include with attributes set on the include found at aliases
+  */
+function applyToInclude(include, aliases, path, fields, options) {
+	const [alias, ...rest] = aliases;
+	const newInclude = [].concat(include || []);
+	const index = newInclude.findIndex(i => (i.as || (i.model && i.model.name)) === alias);
+
+	if (index === -1) {
+		throw fieldsError(`Cannot select fields of ${path}, it is not included`);
+	}
+
+	const existing = newInclude[index];
+	newInclude[index] = Object.assign({}, existing, rest.length ?
+		{ include: applyToInclude(existing.include, rest, path, fields, options) } :
+		{ attributes: selectAttributes(existing.model, path, fields, options) });
+
+	return newInclude;
+}
+
+function fieldsError(message) {
+	return new RestError({ status: 400, code: 'invalid value', message });
+}
+
+module.exports = {
+	applyFields,
+	requestedPaths,
+};
@@ -0,0 +1,183 @@
+'use strict';
+
+const _ = require('lodash');
+const qs = require('qs');
+const { Op } = require('sequelize');
+const { RestError } = require('parkes-rest-error');
+
+/**
+  * Operators that can be used in ?filter[attribute][operator]=value
+  * Each maps the (coerced) value to a sequelize where condition
+  */
+const OPERATORS = {
+	eq: value => ({ [Op.eq]: value }),
+	ne: value => ({ [Op.ne]: value }),
+	gt: value => ({ [Op.gt]: value }),
+	gte: value => ({ [Op.gte]: value }),
+	lt: value => ({ [Op.lt]: value }),
+	lte: value => ({ [Op.lte]: value }),
+	in: value => ({ [Op.in]: value }),
+	notIn: value => ({ [Op.notIn]: value }),
+	like: value => ({ [Op.like]: value }),
+	null: value => (value ? { [Op.eq]: null } : { [Op.ne]: null }),
+};
+
+// Operators that take a comma separated list
+const LIST_OPERATORS = ['in', 'notIn'];
+
+const NUMBER_TYPES = ['INTEGER', 'BIGINT', 'SMALLINT', 'TINYINT', 'MEDIUMINT', 'FLOAT', 'DOUBLE', 'DECIMAL', 'REAL'];
+const DATE_TYPES = ['DATE', 'DATEONLY'];
+
+/**
+  * Builds the where conditions for index from the filters in the query
+  *
+  * filterAttributes may contain strings, which allow equality filtering,
+  * or objects that declare the operators an attribute may be filtered with
+  * eg ['status', { attribute: 'amount', operators: ['gte', 'lte'] }]
+  *
+  * Supports
+  *		?status=active (equality, for backwards compatibility)
+  *		?filter[status][in]=active,pending
+  *		?filter[amount][gte]=100&filter[amount][lte]=200
+  *		?filter[deletedAt][null]=true
+  *
+  * @param {Object} ctx Koa context
+  * @param {Array} filterAttributes The attributes that may be filtered
+  * @param {Model} modelClass Sequelize model, used to coerce values to the attribute types
+  * @returns {Object[]} Array of where conditions
+  * @throws {RestError} 400 if a filter names an unknown attribute or operator,
+  *		or the value is invalid
+  */
+function buildFilterWhere(ctx, filterAttributes, modelClass) {
+	const allowed = normaliseFilterAttributes(filterAttributes);
+	const conditions = [];
+
+	// Simple equality ?attribute=value
+	Object.keys(allowed).forEach((attribute) => {
+		if (_.has(ctx.query, attribute)) {
+			const value = coerceValue(modelClass, attribute, ctx.query[attribute]);
+			conditions.push({ [attribute]: value });
+		}
+	});
+
+	const filters = parseFilters(ctx);
+
+	Object.keys(filters).forEach((attribute) => {
+		if (!allowed[attribute]) {
+			throw filterError(`You cannot filter by ${attribute}`);
+		}
+
+		const operations = filters[attribute];
+		if (!_.isPlainObject(operations)) {
+			throw filterError(`Filter for ${attribute} must specify an operator, eg filter[${attribute}][eq]=value`);
+		}
+
+		Object.keys(operations).forEach((operator) => {
+			if (!OPERATORS[operator]) {
+				throw filterError(`Unknown filter operator ${operator} (valid operators are ${Object.keys(OPERATORS).join(', ')})`);
+			}
+			if (!allowed[attribute].includes(operator)) {
+				throw filterError(`You cannot filter ${attribute} by ${operator} (allowed: ${allowed[attribute].join(', ')})`);
+			}
+
+			const value = coerceOperand(modelClass, attribute, operator, operations[operator]);
+			conditions.push({ [attribute]: OPERATORS[operator](value) });
+		});
+	});
+
+	return conditions;
+}
+
+/**
+  * @returns {Object} Map of attribute name to array of allowed operators
+  */
+function normaliseFilterAttributes(filterAttributes) {
+	const allowed = {};
+
+	filterAttributes.forEach((filter) => {
+		if (typeof filter === 'string') {
+			allowed[filter] = ['eq'];
+		} else {
+			allowed[filter.attribute] = filter.operators || ['eq'];
+		}
+	});
+
+	return allowed;
+}
+
+/**
+  * Koa's ctx.query doesn't parse nested parameters, so parse the querystring
+  * to find filter[attribute][operator]
+  */
+function parseFilters(ctx) {
+	const query = _.isUndefined(ctx.querystring) ? ctx.query : qs.parse(ctx.querystring);
+	const { filter } = query;
+
+	if (_.isUndefined(filter)) return {};
+	if (!_.isPlainObject(filter)) {
+		throw filterError('filter must be of the form filter[attribute][operator]=value');
+	}
+
+	return filter;
+}
+
+function coerceOperand(modelClass, attribute, operator, value) {
+	if (operator === 'null') return coerceBoolean(attribute, value);
+
+	if (LIST_OPERATORS.includes(operator)) {
+		const list = Array.isArray(value) ? value : `${value}`.split(',');
+		return list.map(v => coerceValue(modelClass, attribute, v));
+	}
+
+	if (operator === 'like') {
+		// Escape the wildcards sql uses, and let * be the wildcard
+		return `${value}`.replace(/[\\%_]/g, '\\$&').replace(/\*/g, '%');
+	}
+
+	return coerceValue(modelClass, attribute, value);
+}
+
+/**
+  * Coerce a query string value to the type of the model attribute
+  */
+function coerceValue(modelClass, attribute, value) {
+	if (!_.isString(value)) {
+		throw filterError(`Invalid value for ${attribute}`);
+	}
+
+	const definition = modelClass.rawAttributes && modelClass.rawAttributes[attribute];
+	const type = definition && definition.type && (definition.type.key || definition.type);
+
+	if (NUMBER_TYPES.includes(type)) {
+		const number = Number(value);
+		if (value === '' || Number.isNaN(number)) throw filterError(`${attribute} must be a number`);
+		return number;
+	}
+
+	if (type === 'BOOLEAN') return coerceBoolean(attribute, value);
+
+	if (DATE_TYPES.includes(type)) {
+		const date = new Date(value);
+		if (Number.isNaN(date.getTime())) throw filterError(`${attribute} must be a date`);
+		return date;
+	}
+
+	return value;
+}
+
+function coerceBoolean(attribute, value) {
+	if (['true', '1'].includes(value)) return true;
+	if (['false', '0'].includes(value)) return false;
+
+	throw filterError(`${attribute} must be true or false`);
+}
+
+function filterError(message) {
+	return new RestError({ status: 400, code: 'invalid value', message });
+}
+
+module.exports = {
+	buildFilterWhere,
+	coerceValue,
+	OPERATORS,
+};
@@ -1,13 +1,66 @@
 'use strict';
 
+const _ = require('lodash');
+
 /* using Promises instead of async functions forces the async await to reject
  while also resolving the promise (not leaving it handing around).
  */
 
-const hook = (source, event, ...params) => new Promise((resolve, reject) => {
-	if (source[event]) source[event](...params).then(resolve).catch(reject);
-	else resolve(null); // do nothing
-});
+/**
+  * Run the listeners for a hook on source in order (see listenersFor)
+  *
+  * If a listener returns an object, it replaces the last parameter (after ctx) for
+  * the listeners that follow, eg the record given to beforeCreate
+  * Other return values (eg null) are ignored
+  * If a listener throws, the listeners after it are not run
+  *
+  * @returns {Promise} Resolves to the object returned by the last listener that
+  *		returned one, or null
+  */
+const hook = (source, event, ...params) => {
+	let args = params;
+	let result = null;
+
+	return listenersFor(source, event).reduce((chain, fn) => chain
+		.then(() => fn.apply(source, args))
+		.then((value) => {
+			if (!_.isObject(value)) return;
+			result = value;
+			if (args.length > 1) args = args.slice(0, -1).concat([value]);
+		}), Promise.resolve())
+		.then(() => result);
+};
+
+/**
+  * Add fn as a listener for a hook on source
+  * Listeners with a higher priority run first, those with the same priority run in
+  * the order they were added
+  *
+  * @param {Object} source The object the hook is run on (eg a controller)
+  * @param {string} event Name of the hook (eg beforeCreate)
+  * @param {function} fn async function called with the parameters of the hook
+  * @param {integer} options.priority Defaults to 0
+  */
+function addHook(source, event, fn, options = {}) {
+	if (!_.isFunction(fn)) throw new Error(`The listener for ${event} must be a function`);
+
+	source.hookListeners = source.hookListeners || {};
+	source.hookListeners[event] = (source.hookListeners[event] || [])
+		.concat([{ fn, priority: options.priority || 0 }]);
+}
+
+/**
+  * The listeners for a hook on source, in the order they run
+  * A method named after the hook (the original way of adding a hook) is a listener
+  * with priority 0 that was added first
+  */
+function listenersFor(source, event) {
+	const method = _.isFunction(source[event]) ? [{ fn: source[event], priority: 0 }] : [];
+	const listeners = (source.hookListeners && source.hookListeners[event]) || [];
+
+	return _.sortBy(method.concat(listeners), listener => -listener.priority)
+		.map(listener => listener.fn);
+}
 
 function createProxyHooks(origin, proxy, hooks) {
 	hooks.forEach((event) => {
@@ -20,4 +73,4 @@ function createProxyHooks(origin, proxy, hooks) {
 	});
 }
 
-module.exports = { createProxyHooks, hook };
+module.exports = { addHook, createProxyHooks, hook };
@@ -0,0 +1,227 @@
+'use strict';
+
+const _ = require('lodash');
+const { RestError, addError } = require('parkes-rest-error');
+const { coerceValue } = require('./filter');
+const { CONTENT_TYPES } = require('./export');
+
+addError('unsupported media type', {
+	title: 'Unsupported media type',
+	detail: 'The upload is not in a format that can be imported',
+});
+addError('too large', {
+	title: 'Upload too large',
+	detail: 'The upload is larger than the server accepts',
+});
+
+// Path segments that could reach Object.prototype when setting nested values
+const UNSAFE_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+
+// Default limit on the size of an upload that is read from the request
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+
+/**
+  * The format of an import, from ?format= or the Content-Type of the request
+  * @returns {string} 'csv' or 'ndjson'
+  * @throws {RestError} 415 if neither gives a format that can be imported
+  */
+function importFormat(ctx) {
+	const type = ctx.query.format ? CONTENT_TYPES[ctx.query.format] :
+		(ctx.request.type || '').split(';')[0].trim();
+	const format = Object.keys(CONTENT_TYPES).find(key => CONTENT_TYPES[key] === type);
+
+	if (!format) {
+		throw new RestError({
+			status: 415,
+			code: 'unsupported media type',
+			message: `Imports must be ${_.values(CONTENT_TYPES).join(' or ')}`,
+		});
+	}
+
+	return format;
+}
+
+/**
+  * The text of the upload
+  * If a body parser has already read it as text, that is used, otherwise the
+  * request is read (up to maxBytes)
+  * @throws {RestError} 413 if the upload is larger than maxBytes
+  */
+async function readImport(ctx, maxBytes = DEFAULT_MAX_BYTES) {
+	const { body } = ctx.request;
+	if (_.isString(body)) return body;
+	if (Buffer.isBuffer(body)) return body.toString('utf8');
+
+	return new Promise((resolve, reject) => {
+		const chunks = [];
+		let length = 0;
+
+		ctx.req.on('data', (chunk) => {
+			length += chunk.length;
+			if (length > maxBytes) {
+				reject(new RestError({
+					status: 413,
+					code: 'too large',
+					message: `Imports may not be larger than ${maxBytes} bytes`,
+				}));
+				ctx.req.pause();
+				return;
+			}
+			chunks.push(chunk);
+		});
+		ctx.req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+		ctx.req.on('error', reject);
+	});
+}
+
+/**
+  * Parse an upload into the records to import
+  *
+  * For CSV the first row names the columns. Each column is mapped to an attribute
+  * by columns, which is either an object of column name to attribute, or a
+  * function (column) returning the attribute. Columns that aren't mapped are
+  * ignored. If columns is not given, columns named after an attribute of the model
+  * are used and the rest ignored
+  * Mapped attributes may be paths (eg 'address.city') to set nested values
+  * Empty cells are left out of the record, and values are converted to the
+  * type of the model attribute
+  *
+  * @param {string} text The upload
+  * @param {string} format 'csv' or 'ndjson'
+  * @param {Model} modelClass Model the records are for
+  * @param {Object|function} columns Map from columns to attributes
+  * @returns {Object[]} { row, data } for each record, or { row, error } if it
+  *		could not be parsed. row is the line of the record for NDJSON, and the row
+  *		of the spreadsheet (the header being row 1) for CSV
+  */
+function parseImport(text, format, modelClass, columns) {
+	const records = format === 'csv' ? parseCsvRecords(text) : parseNdjsonRecords(text);
+
+	return records.map((record) => {
+		if (record.error) return record;
+
+		try {
+			return { row: record.row, data: mapRecord(record.values, modelClass, columns) };
+		} catch (error) {
+			return { row: record.row, error };
+		}
+	});
+}
+
+function parseCsvRecords(text) {
+	const [headings, ...rows] = parseCsv(text);
+	if (!headings) return [];
+
+	return rows
+		.map((cells, index) => ({
+			row: index + 2,
+			values: _.zipObject(headings.map(heading => heading.trim()), cells),
+			blank: cells.every(cell => cell === ''),
+		}))
+		.filter(record => !record.blank)
+		.map(record => _.omit(record, 'blank'));
+}
+
+function parseNdjsonRecords(text) {
+	return text.split(/\r?\n/).map((line, index) => {
+		if (!line.trim()) return null;
+
+		const row = index + 1;
+		try {
+			const values = JSON.parse(line);
+			if (!_.isPlainObject(values)) throw new Error();
+			return { row, values };
+		} catch (e) {
+			return { row, error: importError(`Line ${row} is not a JSON object`) };
+		}
+	}).filter(record => record);
+}
+
+/**
+  * Parse CSV (RFC 4180) into an array of rows of cells
+  * Quoted cells may contain commas, line breaks and quotes (written as "")
+  */
+function parseCsv(text) {
+	const rows = [];
+	let row = [];
+	let cell = '';
+	let quoted = false;
+	// Strip a byte order mark, which spreadsheets often add
+	const input = text.replace(/^\uFEFF/, '');
+
+	for (let i = 0; i < input.length; i++) {
+		const char = input[i];
+
+		if (quoted) {
+			if (char === '"' && input[i + 1] === '"') {
+				cell += '"';
+				i += 1;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				cell += char;
+			}
+		} else if (char === '"') {
+			quoted = true;
+		} else if (char === ',') {
+			row.push(cell);
+			cell = '';
+		} else if (char === '\n' || char === '\r') {
+			if (char === '\r' && input[i + 1] === '\n') i += 1;
+			row.push(cell);
+			rows.push(row);
+			row = [];
+			cell = '';
+		} else {
+			cell += char;
+		}
+	}
+
+	if (cell !== '' || row.length) {
+		row.push(cell);
+		rows.push(row);
+	}
+
+	return rows;
+}
+
+function mapRecord(values, modelClass, columns) {
+	const data = {};
+
+	Object.keys(values).forEach((column) => {
+		const attribute = columnAttribute(column, modelClass, columns);
+		let value = values[column];
+		if (!attribute || value === '' || value === undefined) return;
+
+		const path = attribute.split('.');
+		if (path.some(segment => UNSAFE_SEGMENTS.includes(segment))) {
+			throw importError(`${column} can not be imported`);
+		}
+
+		if (_.isString(value) && !attribute.includes('.')) {
+			value = coerceValue(modelClass, attribute, value);
+		}
+
+		_.set(data, path, value);
+	});
+
+	return data;
+}
+
+function columnAttribute(column, modelClass, columns) {
+	if (!columns) return _.has(modelClass.rawAttributes, [column]) ? column : undefined;
+	if (_.isFunction(columns)) return columns(column);
+
+	return _.has(columns, [column]) ? columns[column] : undefined;
+}
+
+function importError(message) {
+	return new RestError({ status: 400, code: 'invalid value', message });
+}
+
+module.exports = {
+	importFormat,
+	parseCsv,
+	parseImport,
+	readImport,
+};
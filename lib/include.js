@@ -0,0 +1,176 @@
+'use strict';
+
+const _ = require('lodash');
+const Sequelize = require('sequelize');
+const { RestError } = require('parkes-rest-error');
+
+/**
+  * Resolves ?include= against the associations a controller allows to be included
+  *
+  * includable is either an array of association paths, or a map from path to
+  * options for the include (eg attributes or where)
+  *		includable: {
+  *			comments: true,
+  *			author: { attributes: ['name'] },
+  *			'author.profile': true,
+  *		}
+  *
+  * ?include=comments,author.profile would then include comments, and author with
+  * their profile nested within. Each level of a nested path must itself be includable
+  *
+  * @param {Object} ctx Koa context
+  * @param {Model} modelClass The model being queried
+  * @param {Object|string[]} options.includable The associations that may be included
+  * @param {integer} options.maxIncludeDepth How deeply includes may be nested
+  * @returns {Object[]} Array of { path, model, as, options } for every association that
+  *		will be included (including the parents of nested paths), parents first
+  * @throws {RestError} 400 if an association may not be included
+  */
+function requestedIncludes(ctx, modelClass, options) {
+	if (!ctx.query.include) return [];
+
+	const includable = normaliseIncludable(options.includable);
+	const paths = _.uniq(_.flatten([ctx.query.include])
+		.join(',')
+		.split(',')
+		.map(path => path.trim())
+		.filter(path => path));
+
+	const resolved = [];
+
+	paths.forEach((path) => {
+		const aliases = path.split('.');
+
+		if (aliases.length > options.maxIncludeDepth) {
+			throw includeError(`You cannot include ${path}, includes may only be nested ${options.maxIncludeDepth} deep`);
+		}
+
+		const associations = associationPath(modelClass, aliases, includeError);
+
+		aliases.forEach((alias, i) => {
+			const subPath = aliases.slice(0, i + 1).join('.');
+			if (!_.has(includable, [subPath]) || !includable[subPath]) {
+				throw includeError(`You cannot include ${subPath}`);
+			}
+
+			if (!resolved.find(r => r.path === subPath)) {
+				resolved.push(Object.assign({
+					path: subPath,
+					options: _.isObject(includable[subPath]) ? includable[subPath] : {},
+				}, associations[i]));
+			}
+		});
+	});
+
+	return _.sortBy(resolved, r => r.path.split('.').length);
+}
+
+/**
+  * Add requested includes (from requestedIncludes) to include
+  * @returns {Object[]} A copy of the includes, with the requested includes nested
+  */
+function mergeRequestedIncludes(include, requested) {
+	return requested.reduce((newInclude, { path, options }) => {
+		const aliases = path.split('.');
+		const chain = aliases.map((alias, i) => {
+			const ancestor = requested.find(r => r.path === aliases.slice(0, i + 1).join('.'));
+			return { model: ancestor.model, as: ancestor.as };
+		});
+
+		return includeAssociationPath(newInclude, chain, options);
+	}, include);
+}
+
+function normaliseIncludable(includable) {
+	if (!includable) return {};
+	if (Array.isArray(includable)) return _.fromPairs(includable.map(path => [path, true]));
+
+	return includable;
+}
+
+/**
+  * Map association aliases to the { model, as } objects sequelize uses in includes
+  * and orders
+  * @param {Model} modelClass The model to start from
+  * @param {string[]} aliases The association aliases to follow
+  * @param {function} createError Function to create the error thrown for an unknown alias
+  */
+function associationPath(modelClass, aliases, createError) {
+	let model = modelClass;
+
+	return aliases.map((alias) => {
+		const association = _.has(model.associations, [alias]) && model.associations[alias];
+		if (!association) {
+			const message = `${model.name} has no association ${alias}`;
+			throw createError ? createError(message) : new Error(message);
+		}
+		model = association.target;
+
+		return { model, as: association.as };
+	});
+}
+
+/**
+  * Return a copy of include with the associations in path included
+  * Associations that are not already included are added with leafOptions merged
+  * into the last one (and intermediate ones are added with intermediateOptions)
+  *
+  * @param {Object[]} include Includes to add to (not modified)
+  * @param {Object[]} path Array of { model, as } as returned by associationPath
+  * @param {Object} leafOptions Options for the include of the last association
+  * @param {Object} intermediateOptions Options for the includes of the other associations
+  */
+function includeAssociationPath(include, path, leafOptions = {}, intermediateOptions = {}) {
+	const [first, ...rest] = path;
+	const newInclude = [].concat(include || []);
+	const index = newInclude.findIndex(i => (i.as ? i.as === first.as : i.model === first.model));
+	const options = rest.length ? intermediateOptions : leafOptions;
+
+	const existing = index === -1 ? Object.assign({ model: first.model, as: first.as }, options) :
+		newInclude[index];
+	const updated = rest.length ?
+		Object.assign({}, existing, {
+			include: includeAssociationPath(existing.include, rest, leafOptions, intermediateOptions),
+		}) :
+		existing;
+
+	if (index === -1) newInclude.push(updated);
+	else newInclude[index] = updated;
+
+	return newInclude;
+}
+
+/**
+  * Resolve a column named by its association path (eg 'title' or 'user.profile.bio')
+  * @param {Model} modelClass The model being queried
+  * @param {string} field The column, prefixed by association aliases
+  * @param {function} createError Function to create the error thrown for an unknown alias
+  * @returns {Object} { path, attribute, col } path is the associations to include
+  *		(see associationPath) and col is a reference to the column for use in functions,
+  *		groups and orders
+  */
+function associationColumn(modelClass, field, createError) {
+	const aliases = field.split('.');
+	const attribute = aliases.pop();
+	const path = associationPath(modelClass, aliases, createError);
+	const model = path.length ? path[path.length - 1].model : modelClass;
+	const definition = model.rawAttributes && model.rawAttributes[attribute];
+	const column = (definition && definition.field) || attribute;
+
+	// Sequelize names the tables of nested includes by their aliases joined with ->
+	const table = path.length ? path.map(step => step.as).join('->') : modelClass.name;
+
+	return { path, attribute, col: Sequelize.col(`${table}.${column}`) };
+}
+
+function includeError(message) {
+	return new RestError({ status: 400, code: 'invalid value', message });
+}
+
+module.exports = {
+	associationColumn,
+	associationPath,
+	includeAssociationPath,
+	mergeRequestedIncludes,
+	requestedIncludes,
+};
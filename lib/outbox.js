@@ -0,0 +1,240 @@
+'use strict';
+
+const _ = require('lodash');
+const events = require('events');
+const { Op } = require('sequelize');
+
+const DEFAULT_BATCH_SIZE = 50;
+const DEFAULT_MAX_ATTEMPTS = 10;
+const DEFAULT_INTERVAL = 1000;
+const DEFAULT_CLAIM_TIMEOUT = 5 * 60 * 1000;
+// Longest time to wait before retrying a delivery
+const MAX_BACKOFF = 60 * 60 * 1000;
+
+/**
+  * Fill in the defaults for options.outbox
+  *
+  * @param {boolean|Object} outbox true, or { model, actions, exclude }
+  * @param {string} outbox.model Name of the outbox model in options.models (default 'Outbox')
+  * @param {string[]} outbox.actions Actions that write to the outbox
+  *		(default create, update, destroy, forceDestroy, restore)
+  * @param {string[]} outbox.exclude Attributes that are not written (default password, privateKey)
+  * @returns {Object} The options, or null if the outbox is off
+  */
+function outboxOptions(outbox) {
+	if (!outbox) return null;
+
+	return _.defaults(_.isObject(outbox) ? Object.assign({}, outbox) : {}, {
+		model: 'Outbox',
+		actions: ['create', 'update', 'destroy', 'forceDestroy', 'restore'],
+		exclude: ['password', 'privateKey'],
+	});
+}
+
+/* Wait 2, 4, 8 ... seconds between attempts, up to an hour */
+function defaultBackoff(attempts) {
+	return Math.min((2 ** attempts) * 1000, MAX_BACKOFF);
+}
+
+/**
+  * @class OutboxDispatcher
+  * @description Delivers the changes written to the outbox by RestHandler to handlers
+  *
+  * The outbox is polled for pending entries, oldest first, and each entry is passed to
+  * the handlers for its resource. An entry is marked delivered once all of them succeed.
+  * If any fail, the entry is retried after a backoff, and marked failed once maxAttempts is
+  * reached. Entries may be delivered more than once, so handlers should be idempotent
+  *
+  * Each entry is claimed before it is delivered (see claim), so several dispatchers can
+  * poll the same outbox. The later entries of a record are held back while an earlier
+  * one is waiting to be retried or is claimed, so handlers see a record's changes in order
+  *
+  * Emits 'delivered' (entry) and 'failed' (entry, error) for every failed attempt
+  *
+  * @param {Model} model The outbox model
+  * @param {integer} options.batchSize Number of entries to fetch in each poll (default 50)
+  * @param {integer} options.maxAttempts Attempts before an entry is marked failed (default 10)
+  * @param {integer} options.interval Milliseconds between polls (default 1000)
+  * @param {function} options.backoff (attempts) => milliseconds to wait before the next attempt
+  * @param {integer} options.claimTimeout Milliseconds a claimed entry is kept from other
+  *		dispatchers (default 5 minutes), which should be longer than the handlers take
+  *
+  * @example
+  *	const dispatcher = new OutboxDispatcher(models.Outbox);
+  *	dispatcher
+  *		.handle('User', async entry => searchIndex.update(entry.resourceId, entry.payload))
+  *		.handle('*', async entry => crm.sync(entry));
+  *	dispatcher.on('failed', (entry, error) => log.error(error));
+  *	dispatcher.start();
+  */
+class OutboxDispatcher extends events.EventEmitter {
+	constructor(model, options) {
+		super();
+		if (!model) throw new Error('You must pass the outbox model to OutboxDispatcher');
+
+		this.model = model;
+		this.options = _.defaults(Object.assign({}, options), {
+			batchSize: DEFAULT_BATCH_SIZE,
+			maxAttempts: DEFAULT_MAX_ATTEMPTS,
+			interval: DEFAULT_INTERVAL,
+			backoff: defaultBackoff,
+			claimTimeout: DEFAULT_CLAIM_TIMEOUT,
+		});
+		this.handlers = [];
+		this.timer = null;
+	}
+
+	/**
+	  * Register a handler for the changes to a resource
+	  * @param {string} resource Name of the model (eg 'User'), or '*' for every resource
+	  * @param {function} handler async (entry) => {}
+	  * @returns {OutboxDispatcher} this, for chaining
+	  */
+	handle(resource, handler) {
+		this.handlers.push({ resource, handler });
+		return this;
+	}
+
+	/**
+	  * Deliver a batch of pending entries
+	  * @returns {integer} The number of entries that were delivered
+	  */
+	async dispatch() {
+		const now = new Date();
+		const entries = await this.model.findAll({
+			where: { status: 'pending', availableAt: { [Op.lte]: now } },
+			order: [['id', 'ASC']],
+			limit: this.options.batchSize,
+		});
+		const held = await this.heldRecords(entries, now);
+
+		let delivered = 0;
+
+		// Deliver in order, so that handlers see the changes to a record in sequence
+		for (let i = 0; i < entries.length; i++) {
+			const entry = entries[i];
+			const record = recordKey(entry);
+
+			if (!held.has(record)) {
+				// eslint-disable-next-line no-await-in-loop
+				if (await this.claim(entry) && await this.deliver(entry)) {
+					delivered += 1;
+				} else {
+					held.add(record);
+				}
+			}
+		}
+
+		return delivered;
+	}
+
+	/**
+	  * The records (as resource:resourceId) of entries that have an earlier pending entry
+	  * which isn't available, as it's waiting to be retried or another dispatcher claimed it
+	  * @returns {Set}
+	  */
+	async heldRecords(entries, now) {
+		const firsts = _.uniqBy(entries, recordKey);
+		if (!firsts.length) return new Set();
+
+		const waiting = await this.model.findAll({
+			attributes: ['resource', 'resourceId'],
+			where: {
+				status: 'pending',
+				availableAt: { [Op.gt]: now },
+				[Op.or]: firsts.map(({ id, resource, resourceId }) =>
+					({ resource, resourceId, id: { [Op.lt]: id } })),
+			},
+		});
+
+		return new Set(waiting.map(recordKey));
+	}
+
+	/**
+	  * Claim an entry for this dispatcher by counting the attempt and keeping it from
+	  * other dispatchers for options.claimTimeout (by moving availableAt)
+	  * The update only applies if the attempts haven't changed since the entry was read,
+	  * so only one dispatcher can claim it
+	  * @returns {boolean} true if the entry was claimed
+	  */
+	async claim(entry) {
+		const attempts = (entry.attempts || 0) + 1;
+		const availableAt = new Date(Date.now() + this.options.claimTimeout);
+
+		const [claimed] = await this.model.update({ attempts, availableAt }, {
+			where: { id: entry.id, status: 'pending', attempts: entry.attempts || 0 },
+		});
+		if (!claimed) return false;
+
+		Object.assign(entry, { attempts, availableAt });
+		return true;
+	}
+
+	/**
+	  * Pass a claimed entry to its handlers and record the result
+	  * @returns {boolean} true if the entry was delivered
+	  */
+	async deliver(entry) {
+		const handlers = this.handlers.filter(h => h.resource === '*' || h.resource === entry.resource);
+		const { attempts } = entry;
+
+		try {
+			await Promise.all(handlers.map(h => h.handler(entry)));
+		} catch (error) {
+			const failed = attempts >= this.options.maxAttempts;
+
+			await entry.update({
+				status: failed ? 'failed' : 'pending',
+				lastError: error.message,
+				availableAt: new Date(Date.now() + this.options.backoff(attempts)),
+			});
+			this.emit('failed', entry, error);
+
+			return false;
+		}
+
+		await entry.update({
+			status: 'delivered',
+			deliveredAt: new Date(),
+		});
+		this.emit('delivered', entry);
+
+		return true;
+	}
+
+	/**
+	  * Poll the outbox every options.interval until stop() is called
+	  * Errors fetching or updating entries are emitted as 'error'
+	  */
+	start() {
+		if (this.timer) return;
+
+		const poll = async () => {
+			try {
+				await this.dispatch();
+			} catch (error) {
+				// Keep polling, an unhandled 'error' event would throw
+				if (this.listenerCount('error')) this.emit('error', error);
+			}
+			if (this.timer) this.timer = setTimeout(poll, this.options.interval);
+		};
+
+		this.timer = setTimeout(poll, 0);
+	}
+
+	/* Stop polling (a poll in progress will finish) */
+	stop() {
+		clearTimeout(this.timer);
+		this.timer = null;
+	}
+}
+
+/* Identifies the record an entry is for */
+function recordKey(entry) {
+	return `${entry.resource}:${entry.resourceId}`;
+}
+
+module.exports = {
+	OutboxDispatcher,
+	outboxOptions,
+};
@@ -1,6 +1,13 @@
 'use strict';
 
 const qs = require('qs');
+const { Op } = require('sequelize');
+const { RestError } = require('parkes-rest-error');
+const { sortsOnAssociation } = require('./sort');
+const { getDialect } = require('./search');
+
+// Dialects that sort NULL as if it were larger than any value (the others sort it as smaller)
+const NULLS_LARGE = ['postgres', 'oracle'];
 
 function buildFindAllQuery(ctx, include, where, query) {
 	const sort = ctx.query.sort || 'id';
@@ -11,7 +18,15 @@ function buildFindAllQuery(ctx, include, where, query) {
 	}, query);
 }
 
+/**
+  * Paginate a findAll query, using keyset (cursor) pagination if options.pagination
+  * is 'cursor' and the request does not ask for an offset, otherwise limit/offset
+  */
 async function paginate(ctx, include, where, query, model, options) {
+	if (options.pagination === 'cursor' && !ctx.query.offset) {
+		return paginateByCursor(ctx, include, where, query, model, options);
+	}
+
 	const q = buildFindAllQuery(ctx, include, where, query);
 	q.limit = parseInt(ctx.query.limit, 10) || options.defaultPageLength;
 	q.offset = parseInt(ctx.query.offset, 10) || 0;
@@ -23,7 +38,78 @@ async function paginate(ctx, include, where, query, model, options) {
 	return formatPaginate(data, total, q.limit, q.sort, q.order, q.offset, ctx.href.split('?')[0], ctx.query);
 }
 
-function formatPaginate(data, total, limit, sort, order, offset, slug, query) {
+/**
+  * Keyset pagination
+  * Pages are fetched after ?cursor= or before ?before= which are opaque tokens
+  * holding the values of the sort columns (and primary key) of the row at the
+  * edge of the previous page
+  * The total is only counted if options.paginationCount is set
+  */
+async function paginateByCursor(ctx, include, where, query, model, options) {
+	const q = buildFindAllQuery(ctx, include, where, query);
+
+	if (sortsOnAssociation(q.order)) {
+		throw new RestError({
+			status: 400,
+			code: 'invalid value',
+			message: 'Sorting by associated records is not supported with cursor pagination',
+		});
+	}
+
+	const order = keysetOrder(q.order, model.primaryKeyAttribute || 'id');
+	const limit = parseInt(ctx.query.limit, 10) || options.defaultPageLength;
+	const backwards = !!ctx.query.before;
+	const token = backwards ? ctx.query.before : ctx.query.cursor;
+
+	const pageQuery = Object.assign({}, q, {
+		// Fetch an extra row to know if there is another page
+		limit: limit + 1,
+		order: backwards ? reverseOrder(order) : order,
+	});
+
+	// The sort columns are needed to build the cursors
+	if (Array.isArray(q.attributes)) {
+		pageQuery.attributes = [...new Set(q.attributes.concat(order.map(([column]) => column)))];
+	}
+
+	if (token) {
+		const values = decodeCursor(token, order);
+		pageQuery.where = Object.assign({}, where, {
+			[Op.and]: [].concat(
+				where[Op.and] || [],
+				keysetWhere(pageQuery.order, values, keysetNulls(model)),
+			),
+		});
+	}
+
+	let rows = await model.findAll(pageQuery);
+	const hasMore = rows.length > limit;
+	rows = rows.slice(0, limit);
+	if (backwards) rows.reverse();
+
+	let total;
+	if (options.paginationCount) {
+		total = await model.count(Object.assign({}, q, { order: undefined }));
+	}
+
+	// There's always a page on the side we came from
+	const hasNext = backwards ? !!token : hasMore;
+	const hasPrev = backwards ? hasMore : !!token;
+
+	const cursors = {
+		next: hasNext && rows.length && encodeCursor(rows[rows.length - 1], order),
+		prev: hasPrev && rows.length && encodeCursor(rows[0], order),
+	};
+
+	return formatPaginate(rows, total, limit, q.sort, q.order, 0, ctx.href.split('?')[0], ctx.query, cursors);
+}
+
+/**
+  * Format the paginated collection
+  * If cursors ({ next, prev } tokens) are given, the next and previous urls
+  * use ?cursor= and ?before= instead of offset
+  */
+function formatPaginate(data, total, limit, sort, order, offset, slug, query, cursors) {
 	// eslint-disable-next-line no-param-reassign
 	offset = parseInt(offset, 10);
 	const pages = Math.ceil(total / limit);
@@ -38,6 +124,23 @@ function formatPaginate(data, total, limit, sort, order, offset, slug, query) {
 	let prevUrl = false;
 	let nextUrl = false;
 
+	if (cursors) {
+		['cursor', 'before', 'offset'].forEach((key) => { delete newQuery[key]; });
+
+		if (cursors.prev) {
+			prevUrl = `${slug}?${qs.stringify(Object.assign({}, newQuery, { before: cursors.prev }))}`;
+		}
+
+		if (cursors.next) {
+			nextUrl = `${slug}?${qs.stringify(Object.assign({}, newQuery, { cursor: cursors.next }))}`;
+		}
+
+		const pagination = { prevUrl, nextUrl, limit };
+		if (total !== undefined) Object.assign(pagination, { total, pages });
+
+		return { collection: data, pagination };
+	}
+
 	if (offset > 0) {
 		newQuery.offset = Math.max(offset - limit, 0);
 		prevUrl = `${slug}?${qs.stringify(newQuery)}`;
@@ -56,8 +159,139 @@ function formatPaginate(data, total, limit, sort, order, offset, slug, query) {
 	};
 }
 
+/**
+  * Add the primary key to the end of the order (if it's not there already)
+  * so that every row has a unique position
+  * @param {Array[]} order Sequelize order eg [['createdAt', 'DESC']]
+  * @param {string} primaryKey Primary key attribute of the model
+  * @returns {Array[]} Order with directions normalised to upper case
+  */
+function keysetOrder(order, primaryKey) {
+	const normalised = order.map(([column, direction]) =>
+		[column, (direction || 'ASC').toUpperCase()]);
+
+	if (!normalised.find(([column]) => column === primaryKey)) {
+		const lastDirection = normalised.length ? normalised[normalised.length - 1][1] : 'ASC';
+		normalised.push([primaryKey, lastDirection]);
+	}
+
+	return normalised;
+}
+
+function reverseOrder(order) {
+	return order.map(([column, direction]) => [column, direction === 'DESC' ? 'ASC' : 'DESC']);
+}
+
+/**
+  * Build a where clause that selects the rows that come after values in the given order
+  * eg for [[a, ASC], [b, DESC]] and values [1, 2]
+  *		(a > 1) OR (a = 1 AND b < 2)
+  *
+  * NULLs are placed where the database sorts them (see keysetNulls), eg on postgres
+  * (where NULLs come last in ascending order) the above is
+  *		(a > 1 OR a IS NULL) OR (a = 1 AND b < 2)
+  * and for values [null, 2]
+  *		(a IS NULL AND b < 2)
+  *
+  * @param {Array[]} order Order of the query (see keysetOrder)
+  * @param {Array} values Values of the last row for each column of the order
+  * @param {string} options.dialect Dialect of the database (default postgres)
+  * @param {string[]} options.notNull Columns that can't be NULL
+  */
+function keysetWhere(order, values, options = {}) {
+	const notNull = options.notNull || [];
+	const conditions = [];
+
+	order.forEach(([column, direction], i) => {
+		const nullsFirst = NULLS_LARGE.includes(options.dialect || 'postgres') === (direction === 'DESC');
+		const after = afterValue(values[i], direction, nullsFirst || notNull.includes(column));
+		// Nothing comes after NULL in this column if NULLs are sorted last
+		if (!after) return;
+
+		const condition = {};
+		for (let j = 0; j < i; j++) {
+			// Sequelize compares to NULL with IS NULL
+			condition[order[j][0]] = { [Op.eq]: values[j] };
+		}
+		condition[column] = after;
+		conditions.push(condition);
+	});
+
+	return { [Op.or]: conditions };
+}
+
+/**
+  * Condition on a column for the values that sort after value
+  * @param {boolean} nullsBefore NULLs sort before the values (or there are none)
+  */
+function afterValue(value, direction, nullsBefore) {
+	if (value === null || value === undefined) return nullsBefore ? { [Op.ne]: null } : null;
+
+	const after = { [direction === 'DESC' ? Op.lt : Op.gt]: value };
+	return nullsBefore ? after : { [Op.or]: Object.assign(after, { [Op.eq]: null }) };
+}
+
+/**
+  * Options for keysetWhere for a model: its dialect and the columns that can't be NULL
+  */
+function keysetNulls(model) {
+	const attributes = model.rawAttributes || {};
+	const notNull = Object.keys(attributes)
+		.filter(name => attributes[name].allowNull === false || attributes[name].primaryKey);
+
+	return { dialect: getDialect(model), notNull: notNull.concat(model.primaryKeyAttribute || 'id') };
+}
+
+/**
+  * Cursors are base64 encoded JSON of the order they were built for, and the
+  * values of the row for each column in that order
+  */
+function encodeCursor(row, order) {
+	const values = order.map(([column]) => (row.get ? row.get(column) : row[column]));
+	const json = JSON.stringify({ o: orderSignature(order), v: values });
+
+	return Buffer.from(json).toString('base64');
+}
+
+function decodeCursor(token, order) {
+	let cursor;
+
+	try {
+		cursor = JSON.parse(Buffer.from(token, 'base64').toString());
+	} catch (e) {
+		cursor = null;
+	}
+
+	// Only accept plain values, so a cursor can't add operators to the where clause
+	const valid = cursor && cursor.o === orderSignature(order) && Array.isArray(cursor.v) &&
+		cursor.v.length === order.length && cursor.v.every(isScalar);
+
+	if (!valid) {
+		throw new RestError({
+			status: 400,
+			code: 'invalid value',
+			message: 'The pagination cursor is not valid for this request (has the sort order changed?)',
+		});
+	}
+
+	return cursor.v;
+}
+
+function isScalar(value) {
+	return value === null || ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+function orderSignature(order) {
+	return order.map(([column, direction]) => `${column}:${direction}`).join(',');
+}
+
 module.exports = {
 	formatPaginate,
 	paginate,
 	buildFindAllQuery,
+	keysetOrder,
+	keysetWhere,
+	keysetNulls,
+	encodeCursor,
+	decodeCursor,
 };
@@ -1,9 +1,15 @@
 'use strict';
 
+const _ = require('lodash');
+const pluralize = require('pluralize');
 const RestHandler = require('./restHandler');
 const { isPrivate } = require('parkes-router');
-const { RestError } = require('parkes-rest-error');
-const { createProxyHooks, hook } = require('./hook');
+const { RestError, formatError } = require('parkes-rest-error');
+const { addHook, createProxyHooks, hook } = require('./hook');
+const { checkPreconditions, hasPreconditions, respondConditionally } = require('./conditional');
+const { readableAttributes, redact } = require('./readable');
+const { CONTENT_TYPES, exportFormat } = require('./export');
+const { importFormat, parseImport, readImport } = require('./import');
 
 /**
   * @class ParkesController
@@ -12,6 +18,10 @@ const { createProxyHooks, hook } = require('./hook');
   *
   * Use this as the base for restful controllers
   * Provides findOne, findAll, create, update, destroy
+  * and bulkCreate, bulkUpdate, bulkDestroy for acting on many records at once
+  * and restore, forceDestroy for soft deleted (paranoid) models
+  * and history for the audit trail of a record
+  * and import for creating records from a CSV or NDJSON upload
   *
   * All actions put the record(s) in ctx.state.data
   * It's up to the application to define a presentation layer that
@@ -36,7 +46,26 @@ class ParkesController {
 
 		this.rest = new RestHandler(name, options);
 
-		createProxyHooks(this.rest, this, ['beforeCreate', 'beforeUpdate']);
+		createProxyHooks(this.rest, this, ['beforeCreate', 'beforeUpdate', 'authorizeReference']);
+	}
+
+	/**
+	  * Add a listener to a hook (eg beforeCreate), so that several plugins can use
+	  * the same hook. A method named after the hook still works, and runs as a
+	  * listener with priority 0
+	  *
+	  * Listeners with a higher priority run first. If a listener returns a value
+	  * it replaces the last parameter of the hook for the listeners after it (eg the
+	  * record to create). If a listener throws, the rest are not run
+	  *
+	  * @param {string} event Name of the hook
+	  * @param {function} fn async function called with the parameters of the hook
+	  * @param {integer} options.priority Defaults to 0
+	  * @returns {ParkesController} this, so that calls can be chained
+	  */
+	hook(event, fn, options) {
+		addHook(this, event, fn, options);
+		return this;
 	}
 
 	/**
@@ -65,7 +94,8 @@ class ParkesController {
 	}
 
 	/**
-	  * Go through each of the includes passed in and verify that
+	  * Go through each of the includes passed in (and their nested includes)
+	  * and verify that for those that filter with a where clause
 	  * 1) A model can be found
 	  * 2) The user is authorized to view it
 	  *
@@ -79,44 +109,159 @@ class ParkesController {
 	   *							authorized to view them
 	  */
 	async verifyIncludes(ctx, includes) {
-		for (let i = 0; i < includes.length; i++) {
-			const include = includes[i];
+		const filtering = flattenIncludes(includes).filter(include => include.where);
+
+		for (let i = 0; i < filtering.length; i++) {
+			const include = filtering[i];
 			const model = await include.model.findOne({ where: include.where });
 
 			if (model) {
 				await this.authorize(ctx, { model, action: 'view' });
 			} else {
+				const name = include.as || include.model.name;
 				throw new RestError({
 					status: 404,
 					code: 'not found',
-					message: `${include.as} with ${this.options.resourceIdColumn} ${include.where[this.options.resourceIdColumn]} could not be found`,
+					message: `${name} with ${describeWhere(include.where)} could not be found`,
 				});
 			}
 		}
 	}
 
+	/**
+	  * Authorize the user to view each association requested by ?include=
+	  * Calls authorize with the associated model class and the view action
+	  * @throws {RestError} 400 if an association may not be included
+	  */
+	async authorizeIncludes(ctx) {
+		const includes = this.rest.requestedIncludes(ctx);
+
+		await Promise.all(includes.map(include =>
+			this.authorize(ctx, { model: include.model, action: 'view', include: include.path })));
+	}
+
+	/**
+	  * If the request asks for deleted records (?withDeleted=1 or ?onlyDeleted=1)
+	  * authorize the user with the viewDeleted action
+	  */
+	async authorizeDeleted(ctx) {
+		if (this.rest.deletedScope(ctx)) {
+			await this.authorize(ctx, { model: this.rest.modelClass, action: 'viewDeleted' });
+		}
+	}
+
+	/**
+	  * Authorize a record referred to by a foreign key in a create or update
+	  * body (see RestHandler#resolveForeignKeys)
+	  * @param {object} options.model The class being created or the record being updated
+	  * @param {Sequelize} options.parent The record that is referred to
+	  * @param {string} options.foreignKey The foreign key that refers to it
+	  */
+	async authorizeReference(ctx, options) {
+		await this.authorize(ctx, options);
+	}
+
+	/**
+	  * Remove the attributes that are not in options.readable from the record(s)
+	  * in ctx.state.data, or data (and their included associations), so that no
+	  * presenter can show them
+	  *
+	  * Private readable attributes are only kept for private requests (?private=1),
+	  * which must be authorized with the viewPrivate action (see authorizePrivate)
+	  *
+	  * @param {boolean} options.authorized viewPrivate has already been authorized
+	  *		(by a write, before writing)
+	  */
+	async applyReadable(ctx, data = ctx.state.data, options = {}) {
+		const { readable } = this.options;
+		if (!readable || !data) return;
+
+		const model = data.collection || data;
+		const records = [].concat(model);
+		const includePrivate = !!isPrivate(ctx);
+
+		if (!options.authorized && records.length) await this.authorizePrivate(ctx, model);
+
+		records.forEach(record =>
+			redact(record, readableAttributes(readable, ctx, record, includePrivate)));
+	}
+
+	/**
+	  * For private requests that may return private readable attributes, authorize
+	  * the viewPrivate action for model (a record, array of records, or the model
+	  * class for records that are about to be created)
+	  * Writes call this before writing, so that a refused request doesn't change anything
+	  */
+	async authorizePrivate(ctx, model) {
+		if (!this.options.readable || !isPrivate(ctx)) return;
+
+		await this.authorize(ctx, { model, action: 'viewPrivate' });
+	}
+
+	/**
+	  * Once the presenter has put the data in ctx.body, replace the ids of
+	  * options.foreignKeys with the resource ids of the records they refer to
+	  */
+	async presentForeignKeys(ctx) {
+		if (this.rest.foreignKeys.length && ctx.body && ctx.body.data) {
+			await this.rest.serializeForeignKeys(ctx, ctx.body.data);
+		}
+	}
+
+	/**
+	  * Runs fn in a transaction (see RestHandler#transaction) if options.transaction
+	  * or options.outbox is set, or the request has preconditions (so that the record
+	  * is locked while they are checked), otherwise just runs fn
+	  * The transaction is available to hooks as ctx.state.transaction and is only
+	  * committed once the after hooks have succeeded
+	  */
+	async inTransaction(ctx, fn) {
+		const { options, outboxOptions } = this.rest;
+		if (!options.transaction && !outboxOptions && !hasPreconditions(ctx)) return fn();
+
+		return this.rest.transaction(ctx, fn);
+	}
+
 	/* start basic CRUD method definitions */
 
 	async show(ctx, next) {
 		await hook(this, 'beforeShow', ctx); // bind hook
 
+		await this.authorizeIncludes(ctx);
+		await this.authorizeDeleted(ctx);
+
 		const model = await this.rest.show(ctx);
 		await this.authorize(ctx, { model, action: 'show', scopes: true });
 
 		await hook(this, 'afterShow', ctx, model); // bind hook
 
 		ctx.state.data = model;
+		respondConditionally(ctx, this.rest.recordValidators(model, ctx));
 
+		await this.applyReadable(ctx);
 		if (next) await next();
+		await this.presentForeignKeys(ctx);
 	}
 
 	async index(ctx, next) {
+		if (ctx.query.aggregate) {
+			await this.aggregate(ctx, next);
+			return;
+		}
+		if (exportFormat(ctx)) {
+			await this.export(ctx);
+			return;
+		}
+
 		const action = 'index';
 
 		await this.authorize(ctx, { action, model: this.rest.modelClass, scopes: true });
 
 		await hook(this, 'beforeIndex', ctx); // bind hook
 
+		await this.authorizeIncludes(ctx);
+		await this.authorizeDeleted(ctx);
+
 		const models = await this.rest.index(ctx);
 
 		if (models.collection.length) {
@@ -133,50 +278,517 @@ class ParkesController {
 		await hook(this, 'afterIndex', ctx, models.collection); // bind hook
 
 		ctx.state.data = models;
+		respondConditionally(ctx, this.rest.collectionValidators(models, ctx));
+
+		await this.applyReadable(ctx);
+		if (next) await next();
+		await this.presentForeignKeys(ctx);
+	}
+
+	/**
+	  * Aggregates of the records that index would list (see RestHandler#aggregate)
+	  * index uses this when the request has ?aggregate=
+	  * Authorized with the action 'aggregate' on the model class, as the results
+	  * are not records
+	  * beforeIndex runs before beforeAggregate, as the records are selected as index
+	  * selects them (eg by ctx.where)
+	  */
+	async aggregate(ctx, next) {
+		await this.authorize(ctx, { action: 'aggregate', model: this.rest.modelClass, scopes: true });
+
+		await hook(this, 'beforeIndex', ctx); // bind hook
+		await hook(this, 'beforeAggregate', ctx); // bind hook
+
+		await this.authorizeDeleted(ctx);
+
+		const aggregates = await this.rest.aggregate(ctx);
+
+		await hook(this, 'afterAggregate', ctx, aggregates.collection); // bind hook
+
+		ctx.state.data = aggregates;
 
 		if (next) await next();
+		await this.presentForeignKeys(ctx);
+	}
+
+	/**
+	  * Stream every record that index would list as CSV or NDJSON (see RestHandler#export)
+	  * index uses this when the request asks for text/csv or application/x-ndjson, either
+	  * in the Accept header or with ?format=csv|ndjson
+	  *
+	  * Each batch of records is authorized as index authorizes its results, and is
+	  * presented with toPublic or toPrivate
+	  * The stream is put in ctx.body, so the presenter should not be run after this
+	  */
+	async export(ctx) {
+		const action = 'index';
+		const format = exportFormat(ctx);
+
+		await this.authorize(ctx, { action, model: this.rest.modelClass, scopes: true });
+
+		await hook(this, 'beforeIndex', ctx); // bind hook
+
+		await this.authorizeIncludes(ctx);
+		await this.authorizeDeleted(ctx);
+
+		const method = isPrivate(ctx) ? 'toPrivate' : 'toPublic';
+
+		ctx.body = await this.rest.export(ctx, format, async (context, records) => {
+			if (!records.length) return records;
+
+			await this.authorize(context, { action, model: records, scopes: true });
+			await this.applyReadable(context, records);
+
+			return Promise.all(records.map(record =>
+				(record[method] ? record[method]() : record.get({ plain: true }))));
+		});
+
+		ctx.type = CONTENT_TYPES[format];
+		ctx.set('Content-Disposition', `attachment; filename="${_.kebabCase(pluralize(this.rest.name))}.${format}"`);
 	}
 
 	async create(ctx, next) {
-		await this.authorize(ctx, { action: 'create', model: this.rest.modelClass, postBody: ctx.request.body });
-		const model = await this.rest.create(ctx);
+		ctx.state.data = await this.inTransaction(ctx, async () => {
+			const parent = await this.rest.findParent(ctx);
 
-		await hook(this, 'afterCreate', ctx, model); // bind hook
+			await this.authorize(ctx, {
+				action: 'create',
+				model: this.rest.modelClass,
+				parent: parent ? parent.record : undefined,
+				postBody: ctx.request.body,
+			});
+			await this.authorizePrivate(ctx, this.rest.modelClass);
 
-		ctx.state.data = model;
+			const model = await this.rest.create(ctx, { parent });
+
+			await hook(this, 'afterCreate', ctx, model); // bind hook
+
+			return model;
+		});
 
+		await this.applyReadable(ctx, ctx.state.data, { authorized: true });
 		await next();
+		await this.presentForeignKeys(ctx);
 	}
 
 	async update(ctx, next) {
-		const model = await this.rest.find(ctx);
+		ctx.state.data = await this.inTransaction(ctx, async () => {
+			const model = await this.rest.find(ctx, { lock: true });
 
-		await this.authorize(ctx, { model, action: 'update' });
+			await this.authorize(ctx, { model, action: 'update' });
+			await this.authorizePrivate(ctx, model);
 
-		await this.rest.update(ctx, model);
+			checkPreconditions(ctx, model, this.rest.conditionalOptions);
 
-		await hook(this, 'afterUpdate', ctx, model); // bind hook
+			await this.rest.update(ctx, model);
 
-		ctx.state.data = model;
+			await hook(this, 'afterUpdate', ctx, model); // bind hook
+
+			return model;
+		});
 
+		respondConditionally(ctx, this.rest.recordValidators(ctx.state.data, ctx));
+
+		await this.applyReadable(ctx, ctx.state.data, { authorized: true });
 		await next();
+		await this.presentForeignKeys(ctx);
 	}
 
 	async destroy(ctx, next) {
-		const model = await this.rest.find(ctx);
+		ctx.state.data = await this.inTransaction(ctx, async () => {
+			const model = await this.rest.find(ctx, { lock: true });
 
-		await this.authorize(ctx, { model, action: 'destroy' });
+			await this.authorize(ctx, { model, action: 'destroy' });
+			await this.authorizePrivate(ctx, model);
 
-		await hook(this, 'beforeDestroy', ctx, model); // bind hook
+			checkPreconditions(ctx, model, this.rest.conditionalOptions);
 
-		await this.rest.destroy(ctx, model);
+			await hook(this, 'beforeDestroy', ctx, model); // bind hook
 
-		await hook(this, 'afterDestroy', ctx, model); // bind hook
+			await this.rest.destroy(ctx, model);
 
-		ctx.state.data = model;
+			await hook(this, 'afterDestroy', ctx, model); // bind hook
+
+			return model;
+		});
+
+		await this.applyReadable(ctx, ctx.state.data, { authorized: true });
+		await next();
+		await this.presentForeignKeys(ctx);
+	}
+
+	/**
+	  * Restore a soft deleted record of a paranoid model
+	  */
+	async restore(ctx, next) {
+		ctx.state.data = await this.inTransaction(ctx, async () => {
+			const model = await this.rest.find(ctx, { paranoid: false, lock: true });
+
+			await this.authorize(ctx, { model, action: 'restore' });
+			await this.authorizePrivate(ctx, model);
+
+			checkPreconditions(ctx, model, this.rest.conditionalOptions);
+
+			await hook(this, 'beforeRestore', ctx, model); // bind hook
+
+			await this.rest.restore(ctx, model);
 
+			await hook(this, 'afterRestore', ctx, model); // bind hook
+
+			return model;
+		});
+
+		await this.applyReadable(ctx, ctx.state.data, { authorized: true });
 		await next();
+		await this.presentForeignKeys(ctx);
 	}
+
+	/**
+	  * Permanently delete a record, even if the model is paranoid
+	  * The record is found even if it has already been soft deleted
+	  */
+	async forceDestroy(ctx, next) {
+		ctx.state.data = await this.inTransaction(ctx, async () => {
+			const model = await this.rest.find(ctx, { paranoid: false, lock: true });
+
+			await this.authorize(ctx, { model, action: 'forceDestroy' });
+			await this.authorizePrivate(ctx, model);
+
+			checkPreconditions(ctx, model, this.rest.conditionalOptions);
+
+			await hook(this, 'beforeForceDestroy', ctx, model); // bind hook
+
+			await this.rest.destroy(ctx, model, { force: true });
+
+			await hook(this, 'afterForceDestroy', ctx, model); // bind hook
+
+			return model;
+		});
+
+		await this.applyReadable(ctx, ctx.state.data, { authorized: true });
+		await next();
+		await this.presentForeignKeys(ctx);
+	}
+
+	/**
+	  * The audit trail of a record (requires options.audit)
+	  * Found even if the record has been soft deleted
+	  * The values in the trail are limited to options.readable, if it is set
+	  */
+	async history(ctx, next) {
+		const model = await this.rest.find(ctx, { paranoid: false });
+
+		await this.authorize(ctx, { model, action: 'history' });
+
+		const entries = await this.rest.history(ctx, model);
+
+		const { readable } = this.options;
+		if (readable) {
+			const includePrivate = !!isPrivate(ctx);
+			if (includePrivate) await this.authorize(ctx, { model, action: 'viewPrivate' });
+
+			const attributes = readableAttributes(readable, ctx, model, includePrivate);
+			entries.collection.forEach((entry) => {
+				redact(entry.previous, attributes);
+				redact(entry.current, attributes);
+			});
+		}
+
+		ctx.state.data = entries;
+
+		await next();
+	}
+
+	/* start bulk method definitions */
+
+	/**
+	  * Run action for each item of a bulk request, in order
+	  *
+	  * Unless the request is atomic, a failure does not stop the remaining items
+	  * and is recorded in the results (with options.transaction, each item has its
+	  * own transaction). If it is atomic, all items are run in a single transaction
+	  * that is rolled back on the first failure
+	  *
+	  * @param {Koa context} ctx The context of the request
+	  * @param {Array} items The records or ids to act upon
+	  * @param {function} action async function (item) that returns the affected record
+	  * @returns {Object} { collection, results } where collection holds the affected records
+	  *		and results holds a success or error entry for every item
+	  */
+	async bulk(ctx, items, action) {
+		const { resourceIdColumn } = this.rest.options;
+		const atomic = this.rest.isAtomicBulk(ctx);
+		const collection = [];
+		const results = [];
+
+		const runAll = async () => {
+			for (let index = 0; index < items.length; index++) {
+				try {
+					// eslint-disable-next-line no-await-in-loop
+					const model = await (atomic ? action(items[index]) :
+						this.inTransaction(ctx, () => action(items[index])));
+					collection.push(model);
+					results.push({ index, success: true, [resourceIdColumn]: model[resourceIdColumn] });
+				} catch (error) {
+					if (atomic) throw atomicBulkError(error, index);
+
+					const { status, errors } = formatError(error);
+					results.push({
+						index, success: false, status, errors,
+					});
+				}
+			}
+		};
+
+		if (atomic) await this.rest.transaction(ctx, runAll);
+		else await runAll();
+
+		return { collection, results };
+	}
+
+	async bulkCreate(ctx, next) {
+		const records = this.rest.bulkData(ctx, 'create');
+
+		const parent = await this.rest.findParent(ctx);
+
+		ctx.state.data = await this.bulk(ctx, records, async (record) => {
+			await this.authorize(ctx, {
+				action: 'create',
+				model: this.rest.modelClass,
+				parent: parent ? parent.record : undefined,
+				postBody: { data: record },
+			});
+			await this.authorizePrivate(ctx, this.rest.modelClass);
+
+			const model = await this.rest.createRecord(ctx, record, { parent });
+
+			await hook(this, 'afterCreate', ctx, model); // bind hook
+
+			return model;
+		});
+
+		await this.applyReadable(ctx, ctx.state.data, { authorized: true });
+		await next();
+		await this.presentForeignKeys(ctx);
+	}
+
+	async bulkUpdate(ctx, next) {
+		const records = this.rest.bulkData(ctx, 'update');
+		const { resourceIdColumn } = this.rest.options;
+
+		ctx.state.data = await this.bulk(ctx, records, async (record) => {
+			const id = record[resourceIdColumn];
+			if (!RestHandler.isResourceId(id)) {
+				throw new RestError({
+					status: 400,
+					code: 'missing parameter',
+					message: `Each record must include its ${resourceIdColumn} as a string or number`,
+				});
+			}
+
+			const model = await this.rest.find(ctx, { id, lock: true });
+
+			await this.authorize(ctx, { model, action: 'update' });
+			await this.authorizePrivate(ctx, model);
+
+			checkPreconditions(ctx, model, this.rest.conditionalOptions);
+
+			await this.rest.updateRecord(ctx, model, _.omit(record, resourceIdColumn));
+
+			await hook(this, 'afterUpdate', ctx, model); // bind hook
+
+			return model;
+		});
+
+		await this.applyReadable(ctx, ctx.state.data, { authorized: true });
+		await next();
+		await this.presentForeignKeys(ctx);
+	}
+
+	async bulkDestroy(ctx, next) {
+		const ids = this.rest.bulkData(ctx, 'destroy');
+
+		const { resourceIdColumn } = this.rest.options;
+
+		ctx.state.data = await this.bulk(ctx, ids, async (id) => {
+			// Objects would reach sequelize as operators, eg { "$ne": null }
+			if (!RestHandler.isResourceId(id)) {
+				throw new RestError({
+					status: 400,
+					code: 'invalid value',
+					message: `Each ${resourceIdColumn} must be a string or number`,
+				});
+			}
+
+			const model = await this.rest.find(ctx, { id, lock: true });
+
+			await this.authorize(ctx, { model, action: 'destroy' });
+			await this.authorizePrivate(ctx, model);
+
+			checkPreconditions(ctx, model, this.rest.conditionalOptions);
+
+			await hook(this, 'beforeDestroy', ctx, model); // bind hook
+
+			await this.rest.destroy(ctx, model);
+
+			await hook(this, 'afterDestroy', ctx, model); // bind hook
+
+			return model;
+		});
+
+		await this.applyReadable(ctx, ctx.state.data, { authorized: true });
+		await next();
+		await this.presentForeignKeys(ctx);
+	}
+
+	/**
+	  * Create records from a CSV or NDJSON upload (see import.js)
+	  *
+	  * Each record goes through the same checks as create (restricted fields,
+	  * validation, beforeCreate and authorize), in its own transaction if
+	  * options.transaction is set. If options.importKey is set and a record with
+	  * the same value for that attribute exists, it is updated instead
+	  * With ?dryRun=true records are validated but not saved (and after hooks are not run)
+	  * Each record of a dry run is in a transaction that is always rolled back, so
+	  * anything written by beforeCreate or beforeUpdate is undone
+	  *
+	  * ctx.state.data is { collection, report } where collection holds the records
+	  * that were saved and report is
+	  *		{ dryRun, created, updated, failed, errors: [{ row, status, errors }] }
+	  */
+	async import(ctx, next) {
+		const {
+			importColumns, importKey, maxImportLength, maxImportBytes,
+		} = this.rest.options;
+		const format = importFormat(ctx);
+		const dryRun = RestHandler.isTrueParam(ctx.query.dryRun);
+
+		const text = await readImport(ctx, maxImportBytes);
+		const records = parseImport(text, format, this.rest.modelClass, importColumns);
+
+		if (!records.length) {
+			throw new RestError({ status: 400, code: 'empty body', message: 'The upload does not contain any records' });
+		}
+		if (records.length > maxImportLength) {
+			throw new RestError({
+				status: 400,
+				code: 'invalid value',
+				message: `An import may not contain more than ${maxImportLength} records`,
+			});
+		}
+
+		const parent = await this.rest.findParent(ctx);
+		const report = {
+			dryRun, created: 0, updated: 0, failed: 0, errors: [],
+		};
+		const collection = [];
+
+		for (let index = 0; index < records.length; index++) {
+			const { row, data, error } = records[index];
+			try {
+				if (error) throw error;
+
+				const importRow = () => this.importRecord(ctx, data, { parent, dryRun, importKey });
+				// eslint-disable-next-line no-await-in-loop
+				const result = await (dryRun ?
+					this.rest.transaction(ctx, importRow, { rollback: true }) :
+					this.inTransaction(ctx, importRow));
+
+				report[result.action] += 1;
+				if (!dryRun) collection.push(result.model);
+			} catch (e) {
+				const { status, errors } = formatError(e);
+				report.failed += 1;
+				report.errors.push({ row, status, errors });
+			}
+		}
+
+		ctx.state.data = { collection, report };
+
+		await this.applyReadable(ctx, ctx.state.data, { authorized: true });
+		await next();
+		await this.presentForeignKeys(ctx);
+	}
+
+	/**
+	  * Create or update the record for one row of an import
+	  * @returns {Object} { action, model } action is 'created' or 'updated'
+	  */
+	async importRecord(ctx, data, { parent, dryRun, importKey }) {
+		let existing = null;
+		if (importKey && !_.isNil(data[importKey])) {
+			// Objects would reach sequelize as operators, eg { "$ne": null }
+			if (!RestHandler.isResourceId(data[importKey])) {
+				throw new RestError({
+					status: 400,
+					code: 'invalid value',
+					message: `${importKey} must be a string or number`,
+				});
+			}
+
+			const where = { [importKey]: data[importKey] };
+			if (parent) where[parent.foreignKey] = parent.record.id;
+			existing = await this.rest.findExisting(ctx, where);
+		}
+
+		if (existing) {
+			await this.authorize(ctx, { model: existing, action: 'update' });
+			await this.authorizePrivate(ctx, existing);
+
+			checkPreconditions(ctx, existing, this.rest.conditionalOptions);
+
+			await this.rest.updateRecord(ctx, existing, _.omit(data, importKey), { dryRun });
+
+			if (!dryRun) await hook(this, 'afterUpdate', ctx, existing); // bind hook
+
+			return { action: 'updated', model: existing };
+		}
+
+		await this.authorize(ctx, {
+			action: 'create',
+			model: this.rest.modelClass,
+			parent: parent ? parent.record : undefined,
+			postBody: { data },
+		});
+		await this.authorizePrivate(ctx, this.rest.modelClass);
+
+		const model = await this.rest.createRecord(ctx, data, { parent, dryRun });
+
+		if (!dryRun) await hook(this, 'afterCreate', ctx, model); // bind hook
+
+		return { action: 'created', model };
+	}
+}
+
+/**
+  * Flatten includes (which may be an object or array) and their nested includes
+  * into a single array, parents first
+  */
+function flattenIncludes(includes) {
+	return _.flatMap([].concat(includes || []), include =>
+		[include].concat(flattenIncludes(include.include)));
+}
+
+/**
+  * Describe a where clause for an error message eg 'uuid abc-123'
+  */
+function describeWhere(where) {
+	const description = Object.keys(where).map(key => `${key} ${where[key]}`).join(', ');
+	return description || 'the given parameters';
+}
+
+/**
+  * Error to abort an atomic bulk request with, naming the record that failed
+  * Internal errors are passed on unchanged so their details are not exposed
+  */
+function atomicBulkError(error, index) {
+	const { status, errors } = formatError(error);
+	if (status >= 500) return error;
+
+	return new RestError({
+		status,
+		errors: errors.map(e => Object.assign({}, e, { message: `Record ${index}: ${e.message}` })),
+	});
 }
 
 module.exports = ParkesController;
@@ -0,0 +1,189 @@
+'use strict';
+
+const _ = require('lodash');
+const { RestError, addError } = require('parkes-rest-error');
+
+addError('invalid patch', {
+	title: 'The patch could not be applied',
+	detail: 'One of the operations in the patch is invalid or could not be applied to the record',
+});
+
+const JSON_PATCH = 'application/json-patch+json';
+const MERGE_PATCH = 'application/merge-patch+json';
+
+const OPERATIONS = {
+	add: (doc, path, from, value, fail) => addValue(doc, path, _.cloneDeep(value), fail),
+	remove: (doc, path, from, value, fail) => removeValue(doc, path, fail),
+	replace: (doc, path, from, value, fail) => {
+		getValue(doc, path, fail);
+		return setValue(doc, path, _.cloneDeep(value));
+	},
+	move: (doc, path, from, value, fail) => {
+		const moved = getValue(doc, from, fail);
+		return addValue(removeValue(doc, from, fail), path, moved, fail);
+	},
+	copy: (doc, path, from, value, fail) => {
+		const copied = _.cloneDeep(getValue(doc, from, fail));
+		return addValue(doc, path, copied, fail);
+	},
+	test: (doc, path, from, value, fail) => {
+		if (!_.isEqual(getValue(doc, path, fail), value)) {
+			throw fail(422, 'failed, the value did not match');
+		}
+		return doc;
+	},
+};
+
+/**
+  * Apply a JSON Patch (RFC 6902) to a document
+  *
+  * @param {Object} document The document to patch (not modified)
+  * @param {Object[]} operations Array of patch operations
+  * @returns {Object} { document, paths } the patched document and the paths read or
+  *		written by the operations (as arrays of keys)
+  * @throws {RestError} 400 if the patch is malformed, 422 if an operation fails
+  *		(including test operations that don't match)
+  */
+function applyJsonPatch(document, operations) {
+	if (!Array.isArray(operations)) {
+		throw patchError(400, 'A JSON Patch must be an array of operations');
+	}
+
+	let result = _.cloneDeep(document);
+	const paths = [];
+
+	operations.forEach((operation, index) => {
+		const describe = `Operation ${index} (${operation && operation.op} ${operation && operation.path})`;
+		const fail = (status, reason) => patchError(status, `${describe} ${reason}`);
+
+		if (!_.isPlainObject(operation) || !OPERATIONS[operation.op]) {
+			throw fail(400, 'is not a valid operation');
+		}
+		if (!_.isString(operation.path)) throw fail(400, 'must have a path');
+
+		const path = parsePointer(operation.path, fail);
+		paths.push(path);
+
+		let from;
+		if (['move', 'copy'].includes(operation.op)) {
+			if (!_.isString(operation.from)) throw fail(400, 'must have a from');
+			from = parsePointer(operation.from, fail);
+			paths.push(from);
+		}
+
+		// Patches can only change attributes of the record, not replace it
+		if (!path.length || (from && !from.length)) throw fail(422, 'must name an attribute');
+
+		if (['add', 'replace', 'test'].includes(operation.op) && !_.has(operation, 'value')) {
+			throw fail(400, 'must have a value');
+		}
+
+		result = OPERATIONS[operation.op](result, path, from, operation.value, fail);
+	});
+
+	return { document: result, paths };
+}
+
+/**
+  * Apply a JSON Merge Patch (RFC 7386) to a document
+  * @returns {Object} The patched document
+  */
+function applyMergePatch(target, patch) {
+	if (!_.isPlainObject(patch)) return _.cloneDeep(patch);
+
+	const result = _.isPlainObject(target) ? Object.assign({}, target) : {};
+
+	Object.keys(patch).forEach((key) => {
+		if (patch[key] === null) delete result[key];
+		else result[key] = applyMergePatch(result[key], patch[key]);
+	});
+
+	return result;
+}
+
+function parsePointer(pointer, fail) {
+	if (pointer === '') return [];
+	if (!pointer.startsWith('/')) throw fail(400, 'has an invalid path');
+
+	return pointer.slice(1).split('/').map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function getValue(doc, path, fail) {
+	return path.reduce((value, key) => {
+		const container = _.isObject(value) ? value : {};
+		if (Array.isArray(container) ? !isIndex(key, container.length - 1) : !_.has(container, key)) {
+			throw fail(422, `failed, ${path.join('/')} does not exist`);
+		}
+		return container[key];
+	}, doc);
+}
+
+/**
+  * Return doc with path set to value, (copying the containers along the way)
+  * If add is set, values are inserted into arrays rather than replacing them
+  */
+function setValue(doc, path, value, add) {
+	if (!path.length) return value;
+
+	const [key, ...rest] = path;
+	const container = Array.isArray(doc) ? doc.slice() : Object.assign({}, doc);
+
+	if (Array.isArray(container)) {
+		const index = key === '-' ? container.length : parseInt(key, 10);
+		if (rest.length) container[index] = setValue(container[index], rest, value, add);
+		else if (add) container.splice(index, 0, value);
+		else container[index] = value;
+	} else {
+		container[key] = rest.length ? setValue(container[key], rest, value, add) : value;
+	}
+
+	return container;
+}
+
+function addValue(doc, path, value, fail) {
+	if (path.length) {
+		const parent = getValue(doc, path.slice(0, -1), fail);
+		const key = path[path.length - 1];
+		if (!_.isObject(parent)) {
+			throw fail(422, `failed, the parent of ${path.join('/')} is not an object or array`);
+		}
+		if (Array.isArray(parent) && key !== '-' && !isIndex(key, parent.length)) {
+			throw fail(422, `failed, ${path.join('/')} is out of bounds`);
+		}
+	}
+
+	return setValue(doc, path, value, true);
+}
+
+function removeValue(doc, path, fail) {
+	getValue(doc, path, fail);
+
+	const parentPath = path.slice(0, -1);
+	const key = path[path.length - 1];
+	const parent = parentPath.reduce((value, k) => value[k], doc);
+
+	let newParent;
+	if (Array.isArray(parent)) {
+		newParent = parent.slice();
+		newParent.splice(parseInt(key, 10), 1);
+	} else {
+		newParent = _.omit(parent, key);
+	}
+
+	return setValue(doc, parentPath, newParent);
+}
+
+function isIndex(key, max) {
+	return /^(0|[1-9][0-9]*)$/.test(key) && parseInt(key, 10) <= max;
+}
+
+function patchError(status, message) {
+	return new RestError({ status, code: 'invalid patch', message });
+}
+
+module.exports = {
+	JSON_PATCH,
+	MERGE_PATCH,
+	applyJsonPatch,
+	applyMergePatch,
+};
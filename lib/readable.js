@@ -0,0 +1,74 @@
+'use strict';
+
+const _ = require('lodash');
+const { isWithin } = require('./writable');
+
+/**
+  * The attributes of a record that the caller may see
+  *
+  * @param {string[]|Object|function} readable An array of attributes, { public, private }
+  *		where private attributes are only visible in private requests, or a function
+  *		(ctx, record) returning either
+  * @param {Object} ctx Koa context
+  * @param {Model} record The record being presented
+  * @param {boolean} includePrivate Include the private attributes
+  * @returns {string[]} The attributes (prefixed by alias for associations, eg 'user.name')
+  */
+function readableAttributes(readable, ctx, record, includePrivate) {
+	const attributes = _.isFunction(readable) ? readable(ctx, record) : readable;
+
+	if (Array.isArray(attributes)) return attributes;
+
+	const { public: publicAttributes = [], private: privateAttributes = [] } = attributes || {};
+
+	return includePrivate ? publicAttributes.concat(privateAttributes) : publicAttributes;
+}
+
+/**
+  * Would redact keep the value at path (eg 'user.name') with these readable attributes
+  */
+function isReadable(path, attributes) {
+	return attributes.some(attribute => isWithin(path, attribute));
+}
+
+/**
+  * Remove the values of a record (and the records included with it) that are not
+  * readable
+  *
+  * An attribute allows its whole value (eg 'user' keeps the whole included user),
+  * a dotted attribute allows only that part (eg 'user.name' or 'public.theme')
+  * and anything that is not allowed is removed
+  *
+  * @param {Model|Object|Array} value Sequelize record(s) or plain object(s) (will be changed)
+  * @param {string[]} attributes The readable attributes
+  * @returns {Model|Object|Array} value
+  */
+function redact(value, attributes, prefix = '') {
+	if (Array.isArray(value)) {
+		value.forEach(item => redact(item, attributes, prefix));
+		return value;
+	}
+	if (!_.isObject(value) || value instanceof Date) return value;
+
+	const values = value.dataValues || value;
+
+	Object.keys(values).forEach((key) => {
+		const path = `${prefix}${key}`;
+
+		if (isReadable(path, attributes)) return;
+
+		if (attributes.some(attribute => attribute.startsWith(`${path}.`))) {
+			redact(values[key], attributes, `${path}.`);
+		} else {
+			delete values[key];
+		}
+	});
+
+	return value;
+}
+
+module.exports = {
+	isReadable,
+	readableAttributes,
+	redact,
+};
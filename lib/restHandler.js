@@ -3,14 +3,43 @@
 const _ = require('lodash');
 const pluralize = require('pluralize');
 const mergeQueryParams = require('./mergeQueryParams');
-const { buildFindAllQuery, paginate } = require('./pagination');
+const {
+	buildFindAllQuery, keysetNulls, keysetOrder, keysetWhere, paginate,
+} = require('./pagination');
+const { buildFilterWhere } = require('./filter');
+const { buildSort, sortsOnAssociation } = require('./sort');
+const { buildSearch } = require('./search');
+const { buildAggregate, formatAggregates } = require('./aggregate');
+const { createExportStream } = require('./export');
+const { applyFields, requestedPaths } = require('./fields');
+const { requestedIncludes, mergeRequestedIncludes } = require('./include');
+const { collectionValidators, recordValidators, representation } = require('./conditional');
+const {
+	JSON_PATCH, MERGE_PATCH, applyJsonPatch, applyMergePatch,
+} = require('./patch');
+const { schemaForAction, validateBody } = require('./schema');
+const {
+	dataPaths, pathsNotWritable, restrictedInPaths, writableAttributes,
+} = require('./writable');
+const { translateError } = require('./sequelizeErrors');
+const { auditChanges, auditOptions, auditValues } = require('./audit');
+const { outboxOptions } = require('./outbox');
+const {
+	cacheOptions, deserialize, hashKey, newVersion, serialize,
+} = require('./cache');
 const { RestError } = require('parkes-rest-error');
 const events = require('events');
 const { hook } = require('./hook');
-const { Op } = require('sequelize');
+const { Op, Transaction } = require('sequelize');
 
 // Default limit for pagination
 const DEFAULT_LIMIT = 100;
+// Default limit for the number of records in a bulk request
+const DEFAULT_BULK_LIMIT = 500;
+// Default number of records fetched at a time when exporting
+const DEFAULT_EXPORT_BATCH = 1000;
+// Default limit for the number of records in an import
+const DEFAULT_IMPORT_LIMIT = 10000;
 
 /**
   * @class restQuery
@@ -25,16 +54,66 @@ const DEFAULT_LIMIT = 100;
   * @param {string} name Name of the model to use
   * @param {array} options.include Default includes for find or findAll (can be overridden per call)
   * @param {array} options.filterAttributes Attributes to filter against from the query
+  *		either names of attributes (equality only) or { attribute, operators } (see filter.js)
   * @param {string} options.resourceIdColumn Name of the column to use as the id in the API
   * @param {string} options.scopeModels Models in query arguments or params that
   *		will be used to scope findAll if present
-  * @param {string} options.search Array of fields to compare ?q= text against
-  *		(defaults to ['name'])
+  * @param {string[]} options.sortable Columns that can be used in ?sort=, including
+  *		columns of associations by their alias (eg 'user.name'). Defaults to the model's attributes
+  * @param {string} options.defaultSort Sort to use when ?sort= is not given (default '-id')
+  * @param {string[]} options.readableAttributes Attributes that can be requested with ?fields=
+  *		(prefixed by alias for associations). Defaults to the model attributes
+  * @param {string[]} options.requiredAttributes Attributes that are always loaded when
+  *		?fields= is used (eg those needed by authorize)
+  * @param {Object|string[]} options.includable Associations that can be included with ?include=
+  *		(see include.js)
+  * @param {integer} options.maxIncludeDepth How deeply ?include= may be nested (default 2)
+  * @param {Array} options.search Fields to compare ?q= text against, names of columns
+  *		(prefixed by alias for associations) or { field, match } (defaults to ['name'])
+  * @param {string} options.searchMode 'like' (default) or 'fulltext' for Postgres text
+  *		search ordered by rank (see search.js)
+  * @param {string} options.searchLanguage Text search configuration for fulltext mode
+  * @param {Array} options.aggregatable Attributes that can be aggregated with ?aggregate=, either
+  *		names of attributes (all functions) or { attribute, functions } (see aggregate.js)
+  * @param {string[]} options.groupable Columns that can be used in ?groupBy=
   * @param {string} options.restricted Array of fields that may not be changed by
   *		create/update (see below for default)
   * @param {string} options.allowed Array of fields that may be changed (removes
   *		specific fields from all restrictions suring construction)
+  * @param {string[]|Object|function} options.writable If set, only these fields may be changed
+  *		by create/update (restricted is ignored), either an array, { create, update } or
+  *		a function (ctx, action, record) returning either (see writable.js)
+  * @param {Object} options.schema JSON Schema style schema that create and update bodies
+  *		must match, or { create, update } with a schema for each (see schema.js)
+  * @param {Object} options.errorMappers Functions by Sequelize error name that translate
+  *		errors thrown when writing into RestErrors (see sequelizeErrors.js)
+  * @param {Array} options.foreignKeys Foreign keys that create and update set by the
+  *		resource id of the referenced record (see mapForeignKeyToId)
+  * @param {boolean|Object} options.audit Record changes made by create, update and destroy
+  *		in an audit model (see audit.js)
+  * @param {boolean|Object} options.outbox Write changes made by create, update and destroy
+  *		to an outbox model in the same transaction (see outbox.js)
+  * @param {boolean|Object} options.cache Cache the results of show and index
+  *		(see cache.js and RestHandler#cached)
   * @param {integer} options.defaultPageLength Default limit for pagination
+  * @param {integer} options.exportBatchSize Number of records fetched at a time by export
+  * @param {Object|function} options.importColumns Map from the columns of an import to
+  *		attributes, or a function (column) returning the attribute (see import.js)
+  * @param {string} options.importKey Attribute that identifies existing records to update
+  *		when importing
+  * @param {integer} options.maxImportLength Maximum number of records in an import
+  * @param {integer} options.maxImportBytes Maximum size of an import that is read from the request
+  * @param {string} options.pagination 'offset' (default) or 'cursor' for keyset pagination
+  * @param {boolean} options.paginationCount In cursor mode, also count the total number of records
+  * @param {integer} options.maxBulkLength Maximum number of records in a single bulk request
+  * @param {boolean|object} options.transaction If set, create, update and destroy actions
+  *		are run in a transaction (an object is passed as options to sequelize.transaction)
+  * @param {string} options.versionColumn Column used to build ETags (defaults to the model's
+  *		version column if it has one, otherwise updatedAt)
+  * @param {boolean} options.requirePreconditions If true, writes to existing records
+  *		(including bulk actions and import updates) must include If-Match or If-Unmodified-Since
+  * @param {boolean} options.bulkAtomic Default for whether bulk requests are all-or-nothing
+  *		(can be overridden by atomic in the request body)
   * @param {object} options.authorizationWhere Where clause to use for scoping of finding models
   *
   * @param {function} options.authorizationScope Callback function used to produce
@@ -91,12 +170,20 @@ class RestHandler extends events.EventEmitter {
 
 		this.options = _.defaults(options, {
 			defaultPageLength: DEFAULT_LIMIT,
+			maxBulkLength: DEFAULT_BULK_LIMIT,
+			exportBatchSize: DEFAULT_EXPORT_BATCH,
+			maxImportLength: DEFAULT_IMPORT_LIMIT,
+			bulkAtomic: false,
 			filterAttributes: [],
 			include: [],
 			resourceIdColumn: 'uuid',
 			scopeModels: [],
 			search: ['name'],
+			defaultSort: '-id',
+			includable: [],
+			maxIncludeDepth: 2,
 			allowed: [],
+			foreignKeys: [],
 		});
 
 		// If restricted is unset, default it to the defaults, plus the ID column
@@ -106,6 +193,13 @@ class RestHandler extends events.EventEmitter {
 			this.options.restricted = [...new Set(this.options.restricted)];
 		}
 
+		// Foreign keys may only be set through their resource id, so that the
+		// referenced record is found and authorized
+		this.foreignKeys = this.options.foreignKeys.map(foreign =>
+			normalizeForeignKey(foreign, this.options.resourceIdColumn));
+		const foreignIdColumns = this.foreignKeys.map(foreign => foreign.idColumn);
+		this.options.restricted = _.union(this.options.restricted, foreignIdColumns);
+
 		// filter out any restictions that are overrided by allow
 		if (this.options.allowed && this.options.allowed.length > 0) {
 			const { allowed } = this.options;
@@ -122,6 +216,20 @@ class RestHandler extends events.EventEmitter {
 			throw new Error(`Model ${this.name} cannot be found in options.models`);
 		}
 
+		this.conditionalOptions = this.buildConditionalOptions();
+
+		this.auditOptions = auditOptions(this.options.audit);
+		if (this.auditOptions && !this.models[this.auditOptions.model]) {
+			throw new Error(`Audit model ${this.auditOptions.model} cannot be found in options.models`);
+		}
+
+		this.cacheOptions = cacheOptions(this.options.cache);
+
+		this.outboxOptions = outboxOptions(this.options.outbox);
+		if (this.outboxOptions && !this.models[this.outboxOptions.model]) {
+			throw new Error(`Outbox model ${this.outboxOptions.model} cannot be found in options.models`);
+		}
+
 		this.authorizationScope = options.authorizationScope;
 		this.authorizationWhere = options.authorizationWhere;
 		this.skipAuthorizationScope = options.skipAuthorizationScope;
@@ -132,10 +240,30 @@ class RestHandler extends events.EventEmitter {
 	  * eg password, uuid
 	  * Throws an error on the context naming the bad fields
 	  * otherwise returns
+	  *
+	  * Nested objects in the body are checked too (see blockRestrictedPaths)
 	  */
-	blockRestrictedKeys(ctx, newRecord) {
-		const keys = Object.keys(newRecord);
-		const badFields = this.options.restricted.filter(k => keys.includes(k));
+	blockRestrictedKeys(ctx, newRecord, action, record) {
+		return this.blockRestrictedPaths(ctx, dataPaths(newRecord), action, record);
+	}
+
+	/**
+	  * If options.writable is set, every path must be within a writable attribute,
+	  * otherwise no path may be within a restricted attribute
+	  *
+	  * @param {Object} ctx Koa context
+	  * @param {string[]} paths Dotted paths of the values being set
+	  * @param {string} action 'create' or 'update'
+	  * @param {Model} record The record being updated
+	  * @returns {string[]} The bad fields (always empty as it throws otherwise)
+	  */
+	blockRestrictedPaths(ctx, paths, action, record) {
+		const { writable, restricted } = this.options;
+
+		const badFields = writable ?
+			pathsNotWritable(paths, writableAttributes(writable, ctx, action, record)) :
+			restrictedInPaths(paths, restricted);
+
 		if (badFields.length) {
 			throw new RestError({
 				status: 400,
@@ -156,7 +284,106 @@ class RestHandler extends events.EventEmitter {
 	scopesPresent(ctx) {
 		const allParams = mergeQueryParams(ctx);
 
-		return _.intersection(this.options.scopeModels || [], Object.keys(allParams));
+		const scopeNames = (this.options.scopeModels || []).map(model =>
+			((typeof model === 'string') ? model : paramName(model.name)));
+
+		return _.intersection(scopeNames, Object.keys(allParams));
+	}
+
+	/**
+	  * Returns the array of records (or resource ids) for a bulk request
+	  * Takes them from ctx.request.body.data, or for destroy the ?ids= query
+	  * may be used as a comma separated list instead
+	  *
+	  * @param {Object} ctx Koa context
+	  * @param {string} action 'create', 'update' or 'destroy'
+	  * @returns {Array} The items to process
+	  * @throws {RestError} If the data is not a non-empty array within maxBulkLength
+	  */
+	bulkData(ctx, action) {
+		let items = ctx.request.body && ctx.request.body.data;
+		if (!items && action === 'destroy' && ctx.query.ids) items = ctx.query.ids.split(',');
+
+		if (!Array.isArray(items) || !items.length) {
+			throw new RestError({
+				status: 400, code: 'empty body', message: 'The data attribute in the body must be a non-empty array',
+			});
+		}
+
+		if (items.length > this.options.maxBulkLength) {
+			throw new RestError({
+				status: 400,
+				code: 'invalid value',
+				message: `A bulk request may not contain more than ${this.options.maxBulkLength} records`,
+			});
+		}
+
+		return items;
+	}
+
+	/**
+	  * Should the bulk request be processed as all-or-nothing
+	  * Uses atomic from the request body, falling back to options.bulkAtomic
+	  */
+	isAtomicBulk(ctx) {
+		const atomic = ctx.request.body && ctx.request.body.atomic;
+		return _.isUndefined(atomic) ? !!this.options.bulkAtomic : !!atomic;
+	}
+
+	/**
+	  * Run fn inside a sequelize transaction that is placed on ctx.state.transaction
+	  * so that queries made by the handler during fn use it
+	  * If a transaction is already open on the context, fn joins it
+	  * Commits if fn resolves, rolls back and rethrows if it rejects
+	  *
+	  * Functions pushed onto ctx.state.afterCommit during fn are run once the
+	  * transaction has been committed
+	  *
+	  * With options.rollback the transaction is always rolled back (eg for a dry run)
+	  * and the afterCommit functions are not run. If a transaction is already open,
+	  * a nested transaction (savepoint) is used and rolled back instead
+	  *
+	  * @param {Object} ctx Koa context
+	  * @param {function} fn async function to run, receives the transaction
+	  * @param {boolean} options.rollback Roll back even if fn resolves
+	  * @returns The result of fn
+	  */
+	async transaction(ctx, fn, options = {}) {
+		const parent = ctx.state.transaction;
+		if (parent && !options.rollback) return fn(parent);
+
+		const transactionOptions = Object.assign(
+			{},
+			_.isObject(this.options.transaction) ? this.options.transaction : {},
+			parent ? { transaction: parent } : {},
+		);
+		const transaction = await this.modelClass.sequelize.transaction(transactionOptions);
+		const parentAfterCommit = ctx.state.afterCommit;
+		const afterCommit = [];
+		ctx.state.transaction = transaction;
+		ctx.state.afterCommit = afterCommit;
+
+		let result;
+		try {
+			result = await fn(transaction);
+			if (options.rollback) await transaction.rollback();
+			else await transaction.commit();
+		} catch (error) {
+			await transaction.rollback();
+			throw error;
+		} finally {
+			if (parent) {
+				ctx.state.transaction = parent;
+				ctx.state.afterCommit = parentAfterCommit;
+			} else {
+				delete ctx.state.transaction;
+				delete ctx.state.afterCommit;
+			}
+		}
+
+		if (!options.rollback) await Promise.all(afterCommit.map(callback => callback()));
+
+		return result;
 	}
 
 	// eslint-disable-next-line class-methods-use-this
@@ -202,7 +429,9 @@ class RestHandler extends events.EventEmitter {
 	/**
 	  * @description
 	  * Used by create or update to map uuid foreign keys to ids
+	  * The referenced records are loaded in parallel
 	  *
+	  * @param {Object} ctx Koa context (lookups use the transaction on the context, if any)
 	  * @param {object} record The data to be used to create the record. NOTE this will be changed
 	  * @param {object[]} foreignKeys Array of keys to map (will only be mapped if present)
 	  * Takes the form
@@ -210,53 +439,147 @@ class RestHandler extends events.EventEmitter {
 	  *		modelName: 'profile',
 	  *		attribute: 'parent',
 	  * }]
-      * If the modelName and attribute are the same, then you can use a string as a shorthand
+	  * If the modelName and attribute are the same, then you can use a string as a shorthand
+	  * @returns {Object[]} { attribute, model } for each record that was referenced
+	  * @throws {RestError} 400 if a value is not a string or number (or null)
+	  * @throws {RestError} 404 if a referenced record does not exist
 	  *
 	  * @example
-	  *		rest.mapForeignKeyToId(record, ['campaign'])
+	  *		rest.mapForeignKeyToId(ctx, record, ['campaign'])
 	  *
 	  *		// This will do
-	  *		model = yeild Models.campaigns.findOne({where: { uuid: record.campaignUuid});
+	  *		model = await Models.Campaign.findOne({ where: { uuid: record.campaignUuid } });
 	  *		record.campaignId = model.id;
+	  *		delete record.campaignUuid;
 	  */
-	async mapForeignKeyToId(record, foreignKeys) {
-		const promises = [];
+	async mapForeignKeyToId(ctx, record, foreignKeys) {
+		const { resourceIdColumn } = this.options;
+
+		const promises = foreignKeys.map(foreign => normalizeForeignKey(foreign, resourceIdColumn))
+			.filter(foreign => _.has(record, foreign.keyColumn))
+			.map(async (foreign) => {
+				const value = record[foreign.keyColumn];
+				delete record[foreign.keyColumn];
+
+				// Allow references to be removed
+				if (value === null) {
+					record[foreign.idColumn] = null;
+					return null;
+				}
 
-		for (let i = 0; i < foreignKeys.length; i++) {
-			let foreign = foreignKeys[i];
+				// Objects would reach sequelize as operators, eg { "$ne": null }
+				if (!isResourceId(value)) {
+					throw new RestError({
+						status: 400,
+						code: 'invalid value',
+						message: `${foreign.keyColumn} must be a string or number`,
+					});
+				}
 
-			if (typeof foreign === 'string') {
-				foreign = {
-					modelName: modelName(foreign),
-					attribute: foreign,
-				};
-			}
+				const where = this.whereByResourceId(resourceIdColumn, { [resourceIdColumn]: value });
+				const model = await this.models[foreign.modelName]
+					.findOne(Object.assign({ where }, transactionOption(ctx)));
 
-			const id = columnIdName(foreign.attribute);
-			const key = columnKeyName(foreign.attribute, this.options.resourceIdColumn);
+				if (!model) {
+					throw new RestError({
+						status: 404,
+						code: 'not found',
+						message: `Could not find ${foreign.attribute} with ${resourceIdColumn} ${value}`,
+					});
+				}
+				record[foreign.idColumn] = model.id;
 
-			if (record[key]) {
-				const where = this.whereByResourceId(key, record);
-				const promise = this.models[foreign.modelName].findOne({ where });
+				return { attribute: foreign.attribute, model };
+			});
 
-				// Fetch updates in parallel
-				promise.then((model) => {
-					if (!model) throw new RestError(404, `Could not find ${foreign.attribute} with ${this.options.resourceIdColumn} ${record[key]}`);
-					record[id] = model.id;
-					delete record[key];
-				});
+		// Wait for all assignments to complete
+		const references = await Promise.all(promises);
+
+		return references.filter(Boolean);
+	}
+
+	/**
+	  * Map the resource ids of options.foreignKeys in a create or update body to ids
+	  * and authorize each referenced record as the parent of the record
+	  * (ParkesController proxies authorizeReference to authorize)
+	  *
+	  * @param {Object} ctx Koa context
+	  * @param {string} action 'create' or 'update'
+	  * @param {Object} data The body of the create or update (will be changed)
+	  * @param {Model} record The record being updated
+	  */
+	async resolveForeignKeys(ctx, action, data, record) {
+		if (!this.foreignKeys.length) return;
+
+		const references = await this.mapForeignKeyToId(ctx, data, this.foreignKeys);
+
+		await Promise.all(references.map(({ attribute, model }) =>
+			hook(this, 'authorizeReference', ctx, {
+				action, model: record || this.modelClass, parent: model, foreignKey: attribute,
+			})));
+	}
+
+	/**
+	  * Replace the ids of options.foreignKeys with resource ids in presented records
+	  * eg { campaignId: 1 } becomes { campaignUuid: 'abc' }
+	  * The referenced records are fetched with one query for each foreign key
+	  *
+	  * @param {Object} ctx Koa context
+	  * @param {Object|Object[]} data Presented record(s) (will be changed)
+	  * @returns {Object|Object[]} data
+	  */
+	async serializeForeignKeys(ctx, data) {
+		const { resourceIdColumn } = this.options;
+		const items = [].concat(data || []).filter(_.isObject);
+
+		await Promise.all(this.foreignKeys.map(async (foreign) => {
+			const present = items.filter(item => _.has(item, foreign.idColumn));
+			const ids = _.uniq(present.map(item => item[foreign.idColumn]).filter(id => !_.isNil(id)));
+
+			let references = [];
+			if (ids.length) {
+				references = await this.models[foreign.modelName].findAll(Object.assign({
+					where: { id: ids },
+					attributes: ['id', resourceIdColumn],
+				}, transactionOption(ctx)));
 			}
-		}
+			const resourceIds = _.fromPairs(references.map(r => [r.id, r[resourceIdColumn]]));
 
-		// Wait for all assignments to complete
-		await Promise.all(promises);
+			present.forEach((item) => {
+				const id = item[foreign.idColumn];
+				item[foreign.keyColumn] = _.isNil(id) ? null : resourceIds[id];
+				delete item[foreign.idColumn];
+			});
+		}));
 
-		return record;
+		return data;
 	}
 
 	/**
 	  * Creates an array of includes that will filter the findAll query based
 	  * on query or params provided by the user
+	  *
+	  * filterModels may contain the names of models (see above), or objects
+	  * of the form { name, include } for filtering through indirect associations
+	  * The include is added if the parameter for name is present, with any
+	  * where: { field: { $param: 'paramName' } } in it (or its nested includes)
+	  * replaced by where: { field: <value of the parameter> }
+	  *
+	  * @example
+	  * // Posts by users in an organisation
+	  * // GET /organisations/<uuid>/posts
+	  * scopeModels: [{
+	  *		name: 'organisation',
+	  *		include: {
+	  *			model: models.User,
+	  *			as: 'user',
+	  *			include: [{
+	  *				model: models.Organisation,
+	  *				where: { uuid: { $param: 'organisation' } },
+	  *				required: true,
+	  *			}],
+	  *		},
+	  * }]
 	  */
 	buildFilterIncludes(ctx, filterModels) {
 		// Search for params on the query or params
@@ -285,10 +608,10 @@ class RestHandler extends events.EventEmitter {
 						required: true,
 					};
 				} else {
-					throw new Error('Complex include filtering not implemented yet');
-					// FIXME need to iterate through the include (or nested includes)
-					// and look for where: { field: { $param: queryName } }
-					// to replace with { field: allParams[queryName] }
+					includeToPush = Object.assign(
+						{ required: true },
+						replaceParamsInInclude(model.include, allParams),
+					);
 				}
 
 				includes.push(includeToPush);
@@ -298,6 +621,78 @@ class RestHandler extends events.EventEmitter {
 		return includes;
 	}
 
+	/**
+	  * Find the parent of a record being created on a nested route
+	  * eg the user of POST /users/:user/posts
+	  *
+	  * The parent is the first of scopeModels that is present in ctx.params (the query
+	  * is not used). Names of models have the foreign key <name>Id, objects must set
+	  * foreignKey to be used as a parent, eg { name: 'organisation', include, foreignKey: 'orgId' }
+	  *
+	  * @param {Object} ctx Koa context
+	  * @returns {Object} { name, foreignKey, record } or null if the route is not nested
+	  * @throws {RestError} 404 if the parent does not exist
+	  */
+	async findParent(ctx) {
+		const params = ctx.params || {};
+
+		const scopes = this.options.scopeModels.map((model) => {
+			const simple = (typeof model === 'string');
+			const name = simple ? model : model.name;
+
+			return {
+				modelClassName: modelName(name),
+				param: paramName(name),
+				foreignKey: simple ? columnIdName(name) : model.foreignKey,
+			};
+		});
+		const scope = scopes.find(s => s.foreignKey && params[s.param]);
+		if (!scope) return null;
+
+		const value = params[scope.param];
+		const where = this.whereByAlias(value, scope.modelClassName);
+		const record = await this.models[scope.modelClassName]
+			.findOne(Object.assign({ where }, transactionOption(ctx)));
+
+		if (!record) {
+			throw new RestError({
+				status: 404,
+				code: 'not found',
+				message: `${scope.modelClassName} with ${this.options.resourceIdColumn} ${value} could not be found`,
+			});
+		}
+
+		return { name: scope.param, foreignKey: scope.foreignKey, record };
+	}
+
+	/**
+	  * Set the foreign key of the parent (see findParent) on the data of a record
+	  * being created
+	  *
+	  * @throws {RestError} 400 if the data names a different parent
+	  */
+	bindParent(data, parent) {
+		if (!parent) return;
+
+		const { name, foreignKey, record } = parent;
+		const { resourceIdColumn } = this.options;
+		const keyColumn = columnKeyName(name, resourceIdColumn);
+
+		const conflicts = (!_.isNil(data[foreignKey]) && data[foreignKey] !== record.id) ||
+			(!_.isNil(data[keyColumn]) && data[keyColumn] !== record[resourceIdColumn]);
+
+		if (conflicts) {
+			throw new RestError({
+				status: 400,
+				code: 'invalid value',
+				message: `The ${name} in the body does not match the ${name} in the URL`,
+			});
+		}
+
+		delete data[keyColumn];
+		data[foreignKey] = record.id;
+	}
+
 	/**
 	  * Helper to create where clause for finding model by alias or uuid
 	  */
@@ -312,32 +707,157 @@ class RestHandler extends events.EventEmitter {
 		return where;
 	}
 
+	/**
+	  * The associations requested by ?include=
+	  * @returns {Object[]} Array of { path, model, as, options }
+	  * @throws {RestError} 400 if an association may not be included
+	  */
+	requestedIncludes(ctx) {
+		return requestedIncludes(ctx, this.modelClass, this.options);
+	}
+
+	/**
+	  * Options for the validators used by conditional requests (see conditional.js)
+	  */
+	buildConditionalOptions() {
+		const modelOptions = this.modelClass.options || {};
+		const { version, updatedAt } = modelOptions;
+
+		let updatedAtColumn;
+		if (modelOptions.timestamps && updatedAt !== false) {
+			updatedAtColumn = _.isString(updatedAt) ? updatedAt : 'updatedAt';
+		}
+
+		let { versionColumn } = this.options;
+		if (!versionColumn && version) versionColumn = _.isString(version) ? version : 'version';
+
+		return {
+			versionColumn: versionColumn || updatedAtColumn,
+			updatedAtColumn,
+			resourceIdColumn: this.options.resourceIdColumn,
+			requirePreconditions: !!this.options.requirePreconditions,
+		};
+	}
+
+	/**
+	  * ETag and Last-Modified for a record, as it is represented in the response to ctx
+	  * There are none if the request has ?include=, as the records it includes can
+	  * change without the record changing
+	  */
+	recordValidators(record, ctx) {
+		if (ctx.query.include) return {};
+
+		return recordValidators(record, this.conditionalOptions, representation(ctx));
+	}
+
+	/**
+	  * ETag and Last-Modified for a page of records (see recordValidators)
+	  */
+	collectionValidators(data, ctx) {
+		if (ctx.query.include) return {};
+
+		return collectionValidators(
+			data.collection, data.pagination,
+			this.conditionalOptions, representation(ctx),
+		);
+	}
+
+	/**
+	  * True if the model is paranoid (records are soft deleted)
+	  */
+	isParanoid() {
+		return !!(this.modelClass.options && this.modelClass.options.paranoid);
+	}
+
+	/**
+	  * Name of the column that marks when a paranoid record was deleted
+	  */
+	deletedAtColumn() {
+		const { deletedAt } = this.modelClass.options || {};
+		return _.isString(deletedAt) ? deletedAt : 'deletedAt';
+	}
+
+	/**
+	  * Which deleted records the request asks for
+	  * @returns {string|null} 'with' for ?withDeleted=1, 'only' for ?onlyDeleted=1 or null
+	  * @throws {RestError} 400 if deleted records are requested for a model that is not paranoid
+	  */
+	deletedScope(ctx) {
+		let scope = null;
+		if (isTrueParam(ctx.query.onlyDeleted)) scope = 'only';
+		else if (isTrueParam(ctx.query.withDeleted)) scope = 'with';
+
+		if (scope && !this.isParanoid()) {
+			throw new RestError({
+				status: 400,
+				code: 'invalid value',
+				message: `${this.name} records are not soft deleted, so withDeleted and onlyDeleted cannot be used`,
+			});
+		}
+
+		return scope;
+	}
+
+	/**
+	  * Set up a query to include deleted records if the request asks for them
+	  * @param {Object} query The query, paranoid will be set to false if needed
+	  * @returns {Object|null} Where clause to add to the query to select only deleted records
+	  */
+	applyDeletedScope(ctx, query) {
+		const scope = this.deletedScope(ctx);
+		if (!scope) return null;
+
+		query.paranoid = false;
+
+		return scope === 'only' ? { [this.deletedAtColumn()]: { [Op.ne]: null } } : null;
+	}
+
 	filterIncludes(ctx) {
 		return this.buildFilterIncludes(ctx, this.options.scopeModels);
 	}
 
 	// low level helper for searching for specific items based on query
+	// opts.id can be used to find by a resource id other than the one in ctx.params
+	// if opts.read is set, the request's ?fields=, ?include= and ?withDeleted= are applied
+	// set opts.paranoid to false to find soft deleted records
+	// if opts.lock is set, the record is locked until the transaction on the context ends
 	async find(ctx, _opts) {
 		const opts = _opts || {};
 		const query = opts.query || {};
+		const id = opts.id || ctx.params[paramName(this.name)];
 		let include = opts.include || this.options.include;
 
-		const q = Object.assign({ where: this.whereByAlias(ctx.params[paramName(this.name)]) }, query);
+		const q = Object.assign({ where: this.whereByAlias(id) }, transactionOption(ctx), query);
 
 		this.mergeAuthorizationWhere(ctx, q.where);
 		include = this.includeAuthorizationScope(ctx, include);
 
+		if (opts.paranoid === false) q.paranoid = false;
+		if (opts.lock) Object.assign(q, lockOption(ctx, this.modelClass));
+
+		if (opts.read) {
+			include = mergeRequestedIncludes(include, this.requestedIncludes(ctx));
+
+			const fields = applyFields(ctx, include, this.modelClass, this.options);
+			({ include } = fields);
+			if (fields.attributes) q.attributes = fields.attributes;
+
+			const deletedWhere = this.applyDeletedScope(ctx, q);
+			if (deletedWhere) Object.assign(q.where, deletedWhere);
+		}
+
 		if (include) q.include = include;
 
 		this.emit('beforeFind', ctx); // emit binding
 
-		const data = await this.modelClass.findOne(q);
+		const findOne = () => this.modelClass.findOne(q);
+		const data = await (opts.cache ? this.cached(ctx, 'show', q.include, findOne, id) : findOne());
 
 		if (!data) {
 			throw new RestError({
 				status: 404,
 				code: 'not found',
-				message: `Resource ${this.name} with ${this.options.resourceIdColumn} ${ctx.params[paramName(this.name)]} was not found`,
+				message: `Resource ${this.name} with ${this.options.resourceIdColumn} ${id} was not found`,
 			});
 		}
 
@@ -346,19 +866,46 @@ class RestHandler extends events.EventEmitter {
 		return data;
 	}
 
+	/**
+	  * Find the record with the given attribute values, within the authorization scope
+	  * (used by import to find the record to update, which is locked until the
+	  * transaction on the context ends)
+	  * @returns {Model} The record, or null if there isn't one
+	  */
+	async findExisting(ctx, values) {
+		const q = Object.assign(
+			{ where: Object.assign({}, values) },
+			transactionOption(ctx), lockOption(ctx, this.modelClass),
+		);
+
+		this.mergeAuthorizationWhere(ctx, q.where);
+		const include = this.includeAuthorizationScope(ctx, this.options.include);
+		if (include) q.include = include;
+
+		return this.modelClass.findOne(q);
+	}
+
 	/* START CRUD INTEGRATION */
 
 	/* list a single item in a collection */
 	async show(ctx) {
-		return this.find(ctx);
+		return this.find(ctx, { read: true, cache: true });
 	}
 
-	/* list a collection */
-	async index(ctx, _opts) {
-		const opts = _opts || {};
+	/**
+	  * Build the where clause and includes that select the records of index
+	  * from the authorization scope, scopeModels, search, filters and the deleted scope
+	  * @param {Object} opts Options passed to index (include, where and query)
+	  * @param {boolean} opts.requestedIncludes Add the associations in ?include=
+	  * @returns {Object} { where, include, query, search } search is the result of buildSearch
+	  */
+	indexQuery(ctx, opts) {
 		let include = opts.include || this.options.include;
 		const where = opts.where || ctx.where || {};
-		const query = opts.query || { attributes: this.options.attributes };
+		const query = Object.assign(
+			{}, transactionOption(ctx),
+			opts.query || { attributes: this.options.attributes },
+		);
 
 		include = this.includeAuthorizationScope(ctx, include);
 		this.mergeAuthorizationWhere(ctx, where);
@@ -367,21 +914,45 @@ class RestHandler extends events.EventEmitter {
 
 		const filterIncludes = this.buildFilterIncludes(ctx, this.options.scopeModels);
 		include = mergeIncludes(include, filterIncludes);
-
-		// basic search text fields
-		if (ctx.query.q) {
-			const searchFields = this.options.search;
-			const searchQueries = { [Op.or]: [] };
-			searchFields.map(prop => searchQueries[Op.or].push({ [prop]: { [Op.iLike]: `%${ctx.query.q}%` } }));
-			where[Op.and].push(searchQueries);
+		if (opts.requestedIncludes) {
+			include = mergeRequestedIncludes(include, this.requestedIncludes(ctx));
 		}
 
+		const search = buildSearch(ctx, include, this.modelClass, this.options);
+		({ include } = search);
+		if (search.where) where[Op.and].push(search.where);
+
 		// Get filter params from model
-		for (let i = 0; i < this.options.filterAttributes.length; i++) {
-			const attribute = this.options.filterAttributes[i];
-			if (_.has(ctx.query, attribute)) {
-				const value = ctx.query[attribute];
-				where[Op.and].push({ [attribute]: value });
+		where[Op.and].push(...buildFilterWhere(ctx, this.options.filterAttributes, this.modelClass));
+
+		const deletedWhere = this.applyDeletedScope(ctx, query);
+		if (deletedWhere) where[Op.and].push(deletedWhere);
+
+		return {
+			where, include, query, search,
+		};
+	}
+
+	/* list a collection */
+	async index(ctx, _opts) {
+		const opts = _opts || {};
+		const indexQuery = this.indexQuery(ctx, Object.assign({ requestedIncludes: true }, opts));
+		const { where, query, search } = indexQuery;
+		let { include } = indexQuery;
+
+		const fields = applyFields(ctx, include, this.modelClass, this.options);
+		({ include } = fields);
+		if (fields.attributes) query.attributes = fields.attributes;
+
+		if (!query.order) {
+			const sort = buildSort(ctx, include, this.modelClass, this.options);
+			({ include } = sort);
+			query.order = sort.order;
+
+			// Order full text results by rank unless the client chose a sort
+			// (cursors can only be built from columns)
+			if (search.order && !ctx.query.sort && this.options.pagination !== 'cursor') {
+				query.order = search.order.concat(query.order);
 			}
 		}
 
@@ -390,36 +961,153 @@ class RestHandler extends events.EventEmitter {
 		let data;
 
 		if (opts.skipPaginate) {
-			const q = buildFindAllQuery.apply(ctx, [include, where, query]);
+			const q = buildFindAllQuery(ctx, include, where, query);
 			const result = await this.modelClass.findAll(q);
 			data = { collection: result };
 		} else {
-			data = await paginate(ctx, include, where, query, this.modelClass, this.options);
+			const findAll = () => paginate(ctx, include, where, query, this.modelClass, this.options);
+			// Only the default index query can be identified by the request
+			data = await (!_opts && !ctx.where ? this.cached(ctx, 'index', include, findAll) : findAll());
 		}
 		this.emit('afterIndex', ctx, data); // emit binding
 
 		return data;
 	}
 
-	/* create a single item in a collection */
-	async create(ctx) {
-		const newRecord = ctx.request.body.data;
+	/**
+	  * Aggregate the records that index would list (see aggregate.js)
+	  * eg ?aggregate=count,sum:amount&groupBy=status
+	  * The number of groups is limited by ?limit= (or options.defaultPageLength)
+	  * @param {Object} _opts Options as for index
+	  * @returns {Object} { collection } the aggregates of each group
+	  */
+	async aggregate(ctx, _opts) {
+		const {
+			where, include, query, search,
+		} = this.indexQuery(ctx, _opts || {});
+		const { aggregates, groups, query: aggregateQuery } =
+			buildAggregate(ctx, include, this.modelClass, this.options, search.paths);
+
+		this.emit('beforeAggregate', ctx); // emit binding
+
+		const rows = await this.modelClass.findAll(Object.assign({}, query, aggregateQuery, {
+			where,
+			limit: parseInt(ctx.query.limit, 10) || this.options.defaultPageLength,
+			raw: true,
+		}));
+		const data = { collection: formatAggregates(rows, aggregates, groups) };
+
+		this.emit('afterAggregate', ctx, data); // emit binding
+
+		return data;
+	}
+
+	/**
+	  * Stream every record that index would list as CSV or NDJSON
+	  *
+	  * Records are fetched options.exportBatchSize at a time, in the order of ?sort=
+	  * with keyset pagination, so that rows aren't skipped or repeated if records
+	  * are added while the export runs
+	  * ?fields= chooses the columns (see fields.js)
+	  *
+	  * @param {string} format 'csv' or 'ndjson'
+	  * @param {function} present async function (ctx, records) that returns the rows to
+	  *		write for a batch of records (eg after authorizing them)
+	  * @returns {Readable} Stream to put in ctx.body (see export.js)
+	  * @throws {RestError} 400 if the sort includes an association
+	  */
+	async export(ctx, format, present) {
+		const indexQuery = this.indexQuery(ctx, { requestedIncludes: true });
+		const { where, query } = indexQuery;
+		let { include } = indexQuery;
+
+		const fields = applyFields(ctx, include, this.modelClass, this.options);
+		({ include } = fields);
+		if (fields.attributes) query.attributes = fields.attributes;
+
+		const sort = buildSort(ctx, include, this.modelClass, this.options);
+		({ include } = sort);
+		if (sortsOnAssociation(sort.order)) {
+			throw new RestError({
+				status: 400,
+				code: 'invalid value',
+				message: 'Sorting by associated records is not supported when exporting',
+			});
+		}
+
+		const order = keysetOrder(sort.order, this.modelClass.primaryKeyAttribute || 'id');
+		// The sort columns are needed to find the next batch
+		if (Array.isArray(query.attributes)) {
+			query.attributes = _.union(query.attributes, order.map(([column]) => column));
+		}
+
+		const limit = this.options.exportBatchSize;
+		let last;
+		let done = false;
+
+		const nextBatch = async () => {
+			if (done) return [];
+
+			const batchWhere = last ?
+				{ [Op.and]: [where, keysetWhere(order, last, keysetNulls(this.modelClass))] } : where;
+			const records = await this.modelClass.findAll(Object.assign({}, query, {
+				where: batchWhere, include, order, limit,
+			}));
+
+			done = records.length < limit;
+			if (records.length) {
+				const record = records[records.length - 1];
+				last = order.map(([column]) => (record.get ? record.get(column) : record[column]));
+			}
+
+			return present(ctx, records);
+		};
+
+		const columns = requestedPaths(ctx);
+
+		return createExportStream(nextBatch, format, columns.length ? columns : undefined);
+	}
+
+	/**
+	  * create a single item in a collection
+	  * @param {Object} options.parent The parent to bind the item to (see findParent)
+	  */
+	async create(ctx, options) {
+		return this.createRecord(ctx, ctx.request.body.data, options);
+	}
 
+	/**
+	  * create an item from the given data (used by create, bulk create and import)
+	  * @param {Object} options.parent The parent to bind the item to (see findParent)
+	  * @param {boolean} options.dryRun Validate the record with the model instead of saving it
+	  */
+	async createRecord(ctx, newRecord, options = {}) {
 		if (!newRecord) {
 			throw new RestError({
 				status: 400, code: 'empty body', message: 'The data attribute in the body must not be empty',
 			});
 		}
 
-		this.blockRestrictedKeys(ctx, newRecord);
+		this.blockRestrictedKeys(ctx, newRecord, 'create');
+		this.validateSchema('create', newRecord);
+		await this.resolveForeignKeys(ctx, 'create', newRecord);
+		this.bindParent(newRecord, options.parent);
 
 		this.emit('beforeCreate', ctx, newRecord); // emit binding
 		const custom = await hook(this, 'beforeCreate', ctx, newRecord); // bind hook
 
 		const recordToCreate = _.isObject(custom) ? custom : newRecord;
 
+		if (options.dryRun) {
+			const built = this.modelClass.build(recordToCreate);
+			await this.translateErrors(ctx, 'create', () => built.validate());
+			return built;
+		}
+
 		// allow passing of custom record
-		const model = await this.modelClass.create(recordToCreate);
+		const model = await this.translateErrors(ctx, 'create', () =>
+			this.modelClass.create(recordToCreate, transactionOption(ctx)));
+		await this.recordChange(ctx, 'create', model);
 		this.emit('afterCreate', ctx, model, recordToCreate); // emit binding
 
 		return model;
@@ -427,36 +1115,413 @@ class RestHandler extends events.EventEmitter {
 
 	/* update a single item in a collection */
 	async update(ctx, record) {
-		const newRecord = ctx.request.body.data;
+		// Patches are checked against the paths that they touch by updateData
+		const { type } = ctx.request;
+		const restrictedChecked = type === JSON_PATCH || type === MERGE_PATCH;
+
+		return this.updateRecord(ctx, record, this.updateData(ctx, record), { restrictedChecked });
+	}
+
+	/**
+	  * The data to update a record with
+	  *
+	  * If the request is a JSON Patch (application/json-patch+json) or JSON Merge Patch
+	  * (application/merge-patch+json) the body is the patch document, which is applied
+	  * to the record, and the attributes it changed are returned.
+	  * Otherwise this is ctx.request.body.data
+	  *
+	  * @throws {RestError} If the patch reads or writes restricted attributes, or can't be applied
+	  */
+	updateData(ctx, record) {
+		const { type } = ctx.request;
+		if (type !== JSON_PATCH && type !== MERGE_PATCH) return ctx.request.body.data;
+
+		const plain = record.get ? record.get({ plain: true }) : record;
+		const current = JSON.parse(JSON.stringify(plain));
+		let patched;
+		let paths;
+
+		if (type === JSON_PATCH) {
+			const result = applyJsonPatch(current, ctx.request.body);
+			paths = result.paths.map(path => path.join('.'));
+			patched = result.document;
+		} else {
+			const patch = ctx.request.body;
+			if (!_.isPlainObject(patch)) {
+				throw new RestError({
+					status: 400, code: 'invalid patch', message: 'A JSON Merge Patch must be an object',
+				});
+			}
+			paths = dataPaths(patch);
+			patched = applyMergePatch(current, patch);
+		}
+
+		// Every attribute the patch touches (including those it reads from) must be allowed
+		this.blockRestrictedPaths(ctx, paths, 'update', record);
+
+		const keys = _.uniq(paths.map(path => path.split('.')[0]));
+
+		const attributes = this.modelClass.rawAttributes;
+		const unknown = attributes ? keys.filter(key => !attributes[key]) : [];
+		if (unknown.length) {
+			throw new RestError({
+				status: 422,
+				code: 'invalid patch',
+				message: `The patch refers to ${unknown.join(', ')} which are not attributes of ${this.name}`,
+			});
+		}
+
+		const changed = keys.filter(key => !_.isEqual(current[key], patched[key]));
+
+		return _.fromPairs(changed.map(key => [key, _.has(patched, key) ? patched[key] : null]));
+	}
+
+	/**
+	  * Run a query for show or index through the cache (if options.cache is set)
+	  *
+	  * Entries are keyed by the action, params, query and caller (see cacheKey), and hold
+	  * the version of the record (show) or collection (index) from when they were cached.
+	  * Writes change the versions (see invalidateCache) so that the entries are no longer used
+	  *
+	  * Versions are read before the query runs. If a show was found by an alias of id
+	  * (see whereByAlias), the entry holds the collection version instead
+	  *
+	  * @param {Object} ctx Koa context
+	  * @param {string} action 'show' or 'index'
+	  * @param {Object[]} include The includes of the query, used to rebuild cached records
+	  * @param {function} query async function that runs the query
+	  * @param {string} [id] The resource id requested (show)
+	  * @returns The result of the query, or the cached result
+	  */
+	async cached(ctx, action, include, query, id) {
+		const options = this.cacheOptions;
+		if (!options || ctx.state.transaction || (options.bypass && options.bypass(ctx))) {
+			return query();
+		}
+
+		const { store } = options;
+		const key = this.cacheKey(ctx, action);
+		// Read before the query, so that a change during the query invalidates the entry
+		const collectionVersion = (await store.get(this.cacheVersionKey())) || null;
+		const recordVersion = action === 'show' ?
+			((await store.get(this.cacheVersionKey(id))) || null) : null;
+
+		const cached = await store.get(key);
+		if (cached) {
+			const entry = deserialize(cached);
+			const version = entry.resourceId ?
+				await store.get(this.cacheVersionKey(entry.resourceId)) : collectionVersion;
+
+			if (entry.version === (version || null)) return this.fromCache(entry.data, include);
+		}
+
+		const result = await query();
+		if (!result) return result;
+
+		const entry = { version: collectionVersion, data: this.toCache(result) };
+		if (action === 'show' && String(result[this.options.resourceIdColumn]) === String(id)) {
+			entry.resourceId = result[this.options.resourceIdColumn];
+			entry.version = recordVersion;
+		}
+
+		// Entries must expire before the versions they were checked against
+		const ttl = _.isFunction(options.ttl) ? options.ttl(ctx, action) : options.ttl;
+		await store.set(key, serialize(entry), Math.min(ttl || Infinity, options.versionTtl));
+
+		return result;
+	}
+
+	/**
+	  * The key of a cached show or index request
+	  * Made from the model, action, params, query and the caller's scope, which is
+	  * options.cache.scope(ctx) if set. Otherwise, if the controller has an authorization
+	  * scope or where, it's the id of the user, so that callers don't share entries
+	  */
+	cacheKey(ctx, action) {
+		const { prefix, scope } = this.cacheOptions;
+
+		let caller = null;
+		if (scope) {
+			caller = scope(ctx);
+		} else if ((this.authorizationScope || this.authorizationWhere) &&
+			!(this.skipAuthorizationScope && this.skipAuthorizationScope(ctx))) {
+			caller = _.get(ctx, 'state.user.id', null);
+		}
+
+		const hash = hashKey({ params: ctx.params, query: ctx.query, caller });
+		return `${prefix}:${this.name}:${action}:${hash}`;
+	}
+
+	/* Key of the version of the collection, or of one record if resourceId is given */
+	cacheVersionKey(resourceId) {
+		const { prefix } = this.cacheOptions;
+		return resourceId ? `${prefix}:${this.name}:version:${resourceId}` :
+			`${prefix}:${this.name}:version`;
+	}
+
+	/**
+	  * Invalidate the cached show of a record (if given) and all cached indexes
+	  * If there's a transaction, the entries are invalidated again once it commits so
+	  * that values read before the commit aren't kept
+	  */
+	async invalidateCache(ctx, record) {
+		if (!this.cacheOptions) return;
+
+		const { store, versionTtl } = this.cacheOptions;
+		const keys = [this.cacheVersionKey()];
+		if (record) keys.push(this.cacheVersionKey(record[this.options.resourceIdColumn]));
+
+		const invalidate = () => Promise.all(keys.map(key => store.set(key, newVersion(), versionTtl)));
+
+		await invalidate();
+		if (ctx.state.afterCommit) ctx.state.afterCommit.push(invalidate);
+	}
+
+	/* The plain values of a record, or of the records in a collection */
+	// eslint-disable-next-line class-methods-use-this
+	toCache(result) {
+		const plain = record => (record.get ? record.get({ plain: true }) : record);
+
+		if (result.collection) {
+			return Object.assign({}, result, { collection: result.collection.map(plain) });
+		}
+
+		return plain(result);
+	}
+
+	/* Rebuild records from their cached values */
+	fromCache(data, include) {
+		const build = values => (this.modelClass.build ?
+			this.modelClass.build(values, { isNewRecord: false, raw: true, include }) : values);
+
+		if (data.collection) return Object.assign({}, data, { collection: data.collection.map(build) });
+
+		return build(data);
+	}
+
+	/**
+	  * The values of a record for the audit trail and outbox
+	  * @returns {Object} The values, or null if neither options.audit or options.outbox are set
+	  */
+	changeValues(record) {
+		if (!this.auditOptions && !this.outboxOptions) return null;
+		return auditValues(record, this.modelClass, []);
+	}
+
+	/**
+	  * Record a change in the cache, audit trail and outbox (if they are enabled)
+	  * Updates that didn't change any values are not recorded in the audit trail or outbox
+	  *
+	  * @param {Object} ctx Koa context
+	  * @param {string} action create, update, destroy, forceDestroy or restore
+	  * @param {Model} record The record that was changed
+	  * @param {Object} previous For update and destroy, the values (see changeValues)
+	  *		of the record before it was changed
+	  */
+	async recordChange(ctx, action, record, previous) {
+		await this.invalidateCache(ctx, action === 'create' ? null : record);
+
+		if (!this.auditOptions && !this.outboxOptions) return;
+
+		const isDestroy = action === 'destroy' || action === 'forceDestroy';
+		const current = isDestroy ? null : this.changeValues(record);
+		const changes = action === 'update' ?
+			auditChanges(previous, current) : { previous: previous || null, current };
+
+		if (action === 'update' && _.isEmpty(changes.current)) return;
+
+		await this.audit(ctx, action, record, changes);
+		await this.writeOutbox(ctx, action, record, changes, current || previous);
+	}
+
+	/**
+	  * Write an entry to the audit trail if options.audit is set
+	  * The entry is written in the transaction on the context, if there is one
+	  *
+	  * @param {Object} ctx Koa context
+	  * @param {string} action create, update, destroy, forceDestroy or restore
+	  * @param {Model} record The record that was changed
+	  * @param {Object} changes { previous, current } values of the attributes that changed
+	  */
+	async audit(ctx, action, record, changes) {
+		if (!this.auditOptions) return;
+
+		const { model, actor, exclude } = this.auditOptions;
+		const previous = changes.previous && _.omit(changes.previous, exclude);
+		const current = changes.current && _.omit(changes.current, exclude);
+
+		// Only excluded attributes were changed
+		if (action === 'update' && _.isEmpty(current)) return;
+
+		await this.models[model].create({
+			action,
+			resource: this.name,
+			resourceId: record[this.options.resourceIdColumn],
+			userId: actor(ctx),
+			previous,
+			current,
+		}, transactionOption(ctx));
+	}
+
+	/**
+	  * Write a change to the outbox if options.outbox is set, in the transaction
+	  * on the context (see OutboxDispatcher for delivery)
+	  *
+	  * @param {Object} ctx Koa context
+	  * @param {string} action create, update, destroy, forceDestroy or restore
+	  * @param {Model} record The record that was changed
+	  * @param {Object} changes { previous, current } values of the attributes that changed
+	  * @param {Object} values All values of the record (before it was destroyed for destroy)
+	  */
+	async writeOutbox(ctx, action, record, changes, values) {
+		if (!this.outboxOptions || !this.outboxOptions.actions.includes(action)) return;
+
+		const { model, exclude } = this.outboxOptions;
+		await this.models[model].create({
+			action,
+			resource: this.name,
+			resourceId: record[this.options.resourceIdColumn],
+			payload: {
+				values: _.omit(values, exclude),
+				previous: action === 'update' ? _.omit(changes.previous, exclude) : null,
+			},
+			status: 'pending',
+			attempts: 0,
+			availableAt: new Date(),
+		}, transactionOption(ctx));
+	}
+
+	/**
+	  * The audit trail of a record, newest first, paginated like index
+	  * @throws {RestError} 404 if options.audit is not set
+	  */
+	async history(ctx, record) {
+		if (!this.auditOptions) {
+			throw new RestError({
+				status: 404, code: 'not found', message: `History is not recorded for ${this.name}`,
+			});
+		}
+
+		const where = { resource: this.name, resourceId: record[this.options.resourceIdColumn] };
+		const query = Object.assign({ order: [['id', 'DESC']] }, transactionOption(ctx));
+
+		return paginate(ctx, [], where, query, this.models[this.auditOptions.model], {
+			defaultPageLength: this.options.defaultPageLength,
+		});
+	}
 
+	/**
+	  * Run a query that writes to the database, translating errors thrown
+	  * by Sequelize into RestErrors (see sequelizeErrors.js)
+	  */
+	async translateErrors(ctx, action, query) {
+		try {
+			return await query();
+		} catch (error) {
+			const context = {
+				ctx, action, name: this.name, modelClass: this.modelClass,
+			};
+			throw translateError(error, context, this.options.errorMappers);
+		}
+	}
+
+	/**
+	  * Validate the data for a create or update against options.schema
+	  * Properties required by the schema are only enforced on create as updates
+	  * only contain the attributes being changed
+	  *
+	  * @throws {RestValidationError} Listing every field that is invalid
+	  */
+	validateSchema(action, data) {
+		const schema = schemaForAction(this.options.schema, action);
+		if (schema) validateBody(data, schema, { partial: action === 'update' });
+	}
+
+	/**
+	  * update record with the given data (used by update, bulk update and import)
+	  * @param {boolean} options.restrictedChecked The fields of the data have already been checked
+	  * @param {boolean} options.dryRun Set and validate the data on the record without saving it
+	  */
+	async updateRecord(ctx, record, newRecord, options = {}) {
 		if (!newRecord) {
 			throw new RestError({
 				status: 400, code: 'empty body', message: 'The data attribute in the body must not be empty',
 			});
 		}
 
-		this.blockRestrictedKeys(ctx, newRecord);
+		if (!options.restrictedChecked) this.blockRestrictedKeys(ctx, newRecord, 'update', record);
+		this.validateSchema('update', newRecord);
+		await this.resolveForeignKeys(ctx, 'update', newRecord, record);
 
 		this.emit('beforeUpdate', ctx, record, newRecord); // emit binding
 		const custom = await hook(this, 'beforeUpdate', ctx, record, newRecord); // bind hook
 
 		const updateData = _.isObject(custom) ? custom : newRecord;
 
+		if (options.dryRun) {
+			record.set(updateData);
+			await this.translateErrors(ctx, 'update', () => record.validate());
+			return record;
+		}
+
+		// Capture the values before they are overwritten
+		const previous = this.changeValues(record);
+
 		// update record
-		await record.update(updateData);
+		await this.translateErrors(ctx, 'update', () =>
+			record.update(updateData, transactionOption(ctx)));
+
+		await this.recordChange(ctx, 'update', record, previous);
 		this.emit('afterUpdate', ctx, record, updateData); // emit binding
 
 		return record;
 	}
 
-	// eslint-disable-next-line class-methods-use-this
-	async destroy(ctx, record) {
+	/**
+	  * Destroy a record
+	  * options.force permanently deletes records of paranoid models
+	  */
+	async destroy(ctx, record, options) {
 		this.emit('beforeDestroy', ctx, record); // emit binding
-		const data = await record.destroy();
+		const previous = this.changeValues(record);
+		const data = await this.translateErrors(ctx, 'destroy', () =>
+			record.destroy(Object.assign({}, options, transactionOption(ctx))));
+
+		const action = options && options.force ? 'forceDestroy' : 'destroy';
+		await this.recordChange(ctx, action, record, previous);
 		this.emit('afterDestroy', ctx, data); // emit binding
 
 		return data;
 	}
+
+	/* restore a soft deleted item */
+	async restore(ctx, record) {
+		const deletedAt = record.get ? record.get(this.deletedAtColumn()) :
+			record[this.deletedAtColumn()];
+
+		if (!this.isParanoid() || !deletedAt) {
+			throw new RestError({
+				status: 400,
+				code: 'invalid record state',
+				message: `${this.name} with ${this.options.resourceIdColumn} ${record[this.options.resourceIdColumn]} has not been deleted`,
+			});
+		}
+
+		this.emit('beforeRestore', ctx, record); // emit binding
+		await this.translateErrors(ctx, 'restore', () => record.restore(transactionOption(ctx)));
+		await this.recordChange(ctx, 'restore', record);
+		this.emit('afterRestore', ctx, record); // emit binding
+
+		return record;
+	}
+}
+
+function isResourceId(value) {
+	return (_.isString(value) && value !== '') || _.isFinite(value);
+}
+
+function isTrueParam(value) {
+	return !!value && value !== 'false' && value !== '0';
 }
 
 function modelName(name) {
@@ -473,7 +1538,65 @@ function columnIdName(name) {
 
 function columnKeyName(name, key) {
 	// eslint-disable-next-line prefer-template
-	return pluralize.signular(name).toLowerCase() + _.capitalize(key);
+	return _.lowerFirst(pluralize.singular(name)) + _.capitalize(key);
+}
+
+/**
+  * Expand a foreign key (see mapForeignKeyToId) to include the names of the
+  * id column (eg campaignId) and resource id column (eg campaignUuid)
+  */
+function normalizeForeignKey(foreign, resourceIdColumn) {
+	const key = _.isString(foreign) ? { modelName: modelName(foreign), attribute: foreign } : foreign;
+
+	return Object.assign({
+		idColumn: columnIdName(key.attribute),
+		keyColumn: columnKeyName(key.attribute, resourceIdColumn),
+	}, key);
+}
+
+/**
+  * Copy an include (and its nested includes) replacing { $param: name } in
+  * where clauses with the value of that parameter
+  */
+function replaceParamsInInclude(include, params) {
+	if (Array.isArray(include)) return include.map(i => replaceParamsInInclude(i, params));
+
+	const newInclude = Object.assign({}, include);
+	if (include.where) newInclude.where = replaceParams(include.where, params);
+	if (include.include) newInclude.include = replaceParamsInInclude(include.include, params);
+
+	return newInclude;
+}
+
+function replaceParams(value, params) {
+	if (Array.isArray(value)) return value.map(v => replaceParams(v, params));
+	if (!_.isPlainObject(value)) return value;
+
+	const keys = Reflect.ownKeys(value);
+	if (keys.length === 1 && keys[0] === '$param') return params[value.$param];
+
+	// Copy symbol keys (sequelize operators) as well as strings
+	const newValue = {};
+	keys.forEach((key) => { newValue[key] = replaceParams(value[key], params); });
+
+	return newValue;
+}
+
+/**
+  * Query options to run a query in the transaction open on the context (if any)
+  */
+function transactionOption(ctx) {
+	const transaction = ctx.state && ctx.state.transaction;
+	return transaction ? { transaction } : {};
+}
+
+/**
+  * Query options to lock the rows found until the transaction open on the context
+  * ends (if there is one), so that they can't change between being checked and written
+  */
+function lockOption(ctx, modelClass) {
+	const transaction = ctx.state && ctx.state.transaction;
+	return transaction ? { lock: { level: Transaction.LOCK.UPDATE, of: modelClass } } : {};
 }
 
 /**
@@ -500,5 +1623,7 @@ function mergeIncludes(includes, newIncludes) {
 }
 
 RestHandler.DEFAULT_RESTRICTED = DEFAULT_RESTRICTED;
+RestHandler.isTrueParam = isTrueParam;
+RestHandler.isResourceId = isResourceId;
 
 module.exports = RestHandler;
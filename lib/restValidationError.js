@@ -0,0 +1,32 @@
+'use strict';
+
+const { RestError } = require('parkes-rest-error');
+
+/**
+  * @class RestValidationError
+  * @description A RestError for invalid input that lists an error for each field
+  * Unlike RestError, the field of each error is kept when it's converted to JSON
+  * so that clients can show the errors next to the fields
+  *
+  * @example
+  * throw new RestValidationError([
+  *		{ field: 'email', message: 'email must be a valid email' },
+  *		{ field: 'address.postcode', message: 'address.postcode is required' },
+  * ]);
+  */
+class RestValidationError extends RestError {
+	constructor(errors, status = 422, code = 'validation error') {
+		super({ status, code, errors });
+		this.code = code;
+	}
+
+	toJSON() {
+		const json = super.toJSON();
+		json.errors = json.errors.map((error, i) =>
+			Object.assign({ field: this.errors[i].field }, error));
+
+		return json;
+	}
+}
+
+module.exports = RestValidationError;
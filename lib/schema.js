@@ -0,0 +1,142 @@
+'use strict';
+
+const _ = require('lodash');
+const RestValidationError = require('./restValidationError');
+
+const FORMATS = {
+	email: /^[^@\s]+@[^@\s]+\.[^@\s]+$/,
+	uri: /^[a-z][a-z0-9+.-]*:\/\/\S+$/i,
+	uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+	date: /^\d{4}-\d{2}-\d{2}$/,
+	'date-time': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/,
+};
+
+const TYPES = {
+	string: _.isString,
+	number: value => _.isNumber(value) && Number.isFinite(value),
+	integer: Number.isInteger,
+	boolean: _.isBoolean,
+	object: _.isPlainObject,
+	array: Array.isArray,
+	null: _.isNull,
+};
+
+/**
+  * Select the schema for an action
+  * options.schema may be a single schema used for create and update, or an
+  * object with a schema per action, eg { create: {...}, update: {...} }
+  *
+  * @returns {Object|undefined} The schema, if there is one for the action
+  */
+function schemaForAction(schema, action) {
+	if (!schema) return undefined;
+	if (schema.properties || schema.type) return schema;
+
+	return schema[action];
+}
+
+/**
+  * Validate a request body against a JSON Schema style schema
+  *
+  * Supports type, enum, format (email, uri, uuid, date, date-time), minLength,
+  * maxLength, pattern, minimum, maximum, properties, required, additionalProperties
+  * (false only), items, minItems and maxItems
+  *
+  * @param {Object} body The body to validate
+  * @param {Object} schema The schema to validate against
+  * @param {boolean} options.partial If true, required properties at the top level
+  *		are not enforced (for updates, which only send what's changed)
+  * @throws {RestValidationError} 422 listing every field that is invalid
+  */
+function validateBody(body, schema, options = {}) {
+	const errors = [];
+	validate(body, schema, '', errors, options.partial);
+
+	if (errors.length) throw new RestValidationError(errors);
+}
+
+function validate(value, schema, path, errors, partial) {
+	const name = path || 'data';
+	const fail = message => errors.push({ field: path, message: `${name} ${message}` });
+
+	if (schema.type) {
+		const types = [].concat(schema.type);
+		if (!types.some(type => TYPES[type](value))) {
+			fail(`must be ${types.map(article).join(' or ')}`);
+			return;
+		}
+	}
+
+	if (schema.enum && !schema.enum.some(option => _.isEqual(option, value))) {
+		fail(`must be one of ${schema.enum.join(', ')}`);
+	}
+
+	if (_.isString(value)) validateString(value, schema, fail);
+	if (_.isNumber(value)) validateNumber(value, schema, fail);
+	if (_.isPlainObject(value)) validateObject(value, schema, path, errors, partial);
+	if (Array.isArray(value)) validateArray(value, schema, path, errors, fail);
+}
+
+function validateString(value, schema, fail) {
+	if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+		fail(`must be a valid ${schema.format}`);
+	}
+	if (_.has(schema, 'minLength') && value.length < schema.minLength) {
+		fail(`must be at least ${schema.minLength} characters`);
+	}
+	if (_.has(schema, 'maxLength') && value.length > schema.maxLength) {
+		fail(`must be at most ${schema.maxLength} characters`);
+	}
+	if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+		fail(`must match ${schema.pattern}`);
+	}
+}
+
+function validateNumber(value, schema, fail) {
+	if (_.has(schema, 'minimum') && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+	if (_.has(schema, 'maximum') && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+}
+
+function validateObject(value, schema, path, errors, partial) {
+	const properties = schema.properties || {};
+	const prefix = path ? `${path}.` : '';
+
+	if (!partial) {
+		(schema.required || []).forEach((key) => {
+			if (_.isUndefined(value[key])) {
+				errors.push({ field: `${prefix}${key}`, message: `${prefix}${key} is required` });
+			}
+		});
+	}
+
+	Object.keys(value).forEach((key) => {
+		if (properties[key]) {
+			// Only the top level of an update is partial
+			validate(value[key], properties[key], `${prefix}${key}`, errors, false);
+		} else if (schema.additionalProperties === false) {
+			errors.push({ field: `${prefix}${key}`, message: `${prefix}${key} is not allowed` });
+		}
+	});
+}
+
+function validateArray(value, schema, path, errors, fail) {
+	if (_.has(schema, 'minItems') && value.length < schema.minItems) {
+		fail(`must have at least ${schema.minItems} items`);
+	}
+	if (_.has(schema, 'maxItems') && value.length > schema.maxItems) {
+		fail(`must have at most ${schema.maxItems} items`);
+	}
+	if (schema.items) {
+		value.forEach((item, i) => validate(item, schema.items, `${path}[${i}]`, errors, false));
+	}
+}
+
+function article(type) {
+	if (type === 'null') return 'null';
+	return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+module.exports = {
+	schemaForAction,
+	validateBody,
+};
@@ -0,0 +1,150 @@
+'use strict';
+
+const Sequelize = require('sequelize');
+const { associationColumn, includeAssociationPath } = require('./include');
+
+const { Op } = Sequelize;
+
+const MATCHES = ['contains', 'prefix', 'exact'];
+const MODES = ['like', 'fulltext'];
+
+/**
+  * Builds the where clause for index from ?q=
+  *
+  * Each field in options.search is either the name of a column or
+  * { field, match } where match is 'contains' (default), 'prefix' or 'exact'
+  * Columns of associated models are named by their association alias (eg 'user.name')
+  * and the association is included in the query if it isn't already
+  *
+  * In 'like' mode (the default) the text is compared case insensitively, with ILIKE
+  * on Postgres and LIKE on lower(column) for other dialects
+  * In 'fulltext' mode (Postgres only) the fields are searched as one tsvector, and
+  * an order by rank is returned
+  *
+  * @param {Object} ctx Koa context
+  * @param {Object[]} include The includes of the query
+  * @param {Model} modelClass Sequelize model being queried
+  * @param {Array} options.search Fields to search
+  * @param {string} options.searchMode 'like' or 'fulltext'
+  * @param {string} options.searchLanguage Text search configuration for fulltext mode
+  *		(default 'english')
+  * @returns {Object} { where, include, order, paths } where is undefined if there is
+  *		no ?q=, order is the rank order in fulltext mode (otherwise undefined), paths
+  *		are the association paths of the fields searched (see associationPath)
+  */
+function buildSearch(ctx, include, modelClass, options) {
+	const text = ctx.query.q;
+	if (!text || typeof text !== 'string') return { include, paths: [] };
+
+	const mode = options.searchMode || 'like';
+	if (!MODES.includes(mode)) {
+		throw new Error(`searchMode must be one of ${MODES.join(', ')}`);
+	}
+
+	const dialect = getDialect(modelClass);
+	if (mode === 'fulltext' && dialect !== 'postgres') {
+		throw new Error(`Full text search is not supported by ${dialect}`);
+	}
+
+	let newInclude = include;
+	const fields = options.search.map((field) => {
+		const column = searchColumn(modelClass, normalizeField(field));
+		if (column.path.length) {
+			const hidden = { attributes: [] };
+			newInclude = includeAssociationPath(newInclude, column.path, hidden, hidden);
+		}
+		return column;
+	});
+
+	const paths = fields.filter(field => field.path.length).map(field => field.path);
+
+	if (mode === 'fulltext') {
+		const fullText = fullTextSearch(fields, text, options.searchLanguage);
+		return Object.assign({ include: newInclude, paths }, fullText);
+	}
+
+	const where = { [Op.or]: fields.map(field => likeCondition(field, text, dialect, modelClass)) };
+
+	return { where, include: newInclude, paths };
+}
+
+/**
+  * Convert a search field to { field, match }
+  */
+function normalizeField(field) {
+	const normalized = typeof field === 'string' ? { field } : Object.assign({}, field);
+	normalized.match = normalized.match || 'contains';
+
+	if (!MATCHES.includes(normalized.match)) {
+		throw new Error(`Search match for ${normalized.field} must be one of ${MATCHES.join(', ')}`);
+	}
+
+	return normalized;
+}
+
+/**
+  * Resolve a search field to the association path it needs, the key to use in a where
+  * clause and a column reference for use in functions
+  */
+function searchColumn(modelClass, { field, match }) {
+	const { path, attribute, col } = associationColumn(modelClass, field);
+
+	return {
+		path,
+		match,
+		col,
+		key: path.length ? `$${field}$` : attribute,
+	};
+}
+
+function likeCondition(field, text, dialect, modelClass) {
+	const pattern = likePattern(text, field.match);
+
+	if (dialect === 'postgres') {
+		return { [field.key]: { [Op.iLike]: pattern } };
+	}
+
+	const lower = Sequelize.fn('lower', field.col);
+	if (dialect === 'sqlite') {
+		// SQLite has no default escape character for LIKE
+		const escaped = modelClass.sequelize.escape(pattern.toLowerCase());
+		// Sequelize doesn't space the comparator when the value is a literal
+		return Sequelize.where(lower, ' LIKE ', Sequelize.literal(`${escaped} ESCAPE '\\'`));
+	}
+
+	return Sequelize.where(lower, 'LIKE', pattern.toLowerCase());
+}
+
+/**
+  * Escape the wildcards in text and add the ones needed for match
+  */
+function likePattern(text, match) {
+	const escaped = text.replace(/[\\%_]/g, '\\$&');
+
+	if (match === 'exact') return escaped;
+	if (match === 'prefix') return `${escaped}%`;
+	return `%${escaped}%`;
+}
+
+function fullTextSearch(fields, text, language = 'english') {
+	const document = Sequelize.fn('concat_ws', ' ', ...fields.map(field => field.col));
+	const vector = Sequelize.fn('to_tsvector', language, document);
+	const query = Sequelize.fn('plainto_tsquery', language, text);
+
+	return {
+		// Sequelize doesn't space the comparator when the value is a function
+		where: Sequelize.where(vector, ' @@ ', query),
+		order: [[Sequelize.fn('ts_rank', vector, query), 'DESC']],
+	};
+}
+
+function getDialect(modelClass) {
+	// Default to postgres, which parkes has always assumed
+	const { sequelize } = modelClass;
+	return sequelize && sequelize.getDialect ? sequelize.getDialect() : 'postgres';
+}
+
+module.exports = {
+	buildSearch,
+	getDialect,
+};
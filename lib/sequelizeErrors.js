@@ -0,0 +1,127 @@
+'use strict';
+
+const _ = require('lodash');
+const { RestError } = require('parkes-rest-error');
+const RestValidationError = require('./restValidationError');
+
+/**
+  * Translate errors thrown by Sequelize into RestErrors
+  *
+  * Without this, Sequelize errors become 500 errors which (outside of production)
+  * show the database's message and sometimes the SQL that failed.
+  * None of the errors produced here contain any text from the database
+  *
+  * Mappers are functions of the form (error, context) => RestError, where context is
+  * { ctx, action, name, modelClass }. A mapper may return a falsy value to leave the error
+  * to the default mapper for that error
+  */
+
+/* 422 listing the field of each failed validation */
+function validationError(error) {
+	const errors = (error.errors || []).map(item => ({
+		field: item.path,
+		code: item.type === 'notNull Violation' ? 'notnull violation' : 'validation error',
+		message: item.type === 'notNull Violation' ? `${item.path} is required` : item.message,
+	}));
+
+	if (!errors.length) errors.push({ message: 'The record is not valid' });
+
+	return new RestValidationError(errors);
+}
+
+/* 409 naming the fields that conflict with an existing record */
+function uniqueConstraintError(error, { name, modelClass }) {
+	const fields = attributeNames(modelClass, Object.keys(error.fields || {}));
+	const described = fields.length ? ` with that ${fields.join(' and ')}` : '';
+	const message = `A ${name}${described} already exists`;
+
+	const errors = fields.length ? fields.map(field => ({ field, message })) : [{ message }];
+
+	return new RestValidationError(errors, 409, 'already exists');
+}
+
+/**
+  * Either a record refers to a record that doesn't exist (404), or a record that is
+  * still referred to by other records is being deleted (400)
+  */
+function foreignKeyConstraintError(error, { action, name, modelClass }) {
+	const detail = _.get(error, 'parent.detail') || '';
+	const isReferenced = /still referenced/.test(detail) || error.reltype === 'parent' ||
+		(!detail && !error.reltype && action === 'destroy');
+
+	if (isReferenced) {
+		return new RestError({
+			status: 400,
+			code: 'invalid record state',
+			message: `The ${name} cannot be deleted while other records refer to it`,
+		});
+	}
+
+	const key = detail.match(/^Key \(([^)]+)\)/);
+	const columns = key ? key[1].replace(/"/g, '').split(', ') : [].concat(error.fields || []);
+	const fields = attributeNames(modelClass, columns);
+	const message = fields.length ?
+		`The record referred to by ${fields.join(' and ')} could not be found` :
+		'A record that was referred to could not be found';
+
+	const errors = fields.length ? fields.map(field => ({ field, message })) : [{ message }];
+
+	return new RestValidationError(errors, 404, 'not found');
+}
+
+/* Any other database error, only values in an invalid format are the client's fault */
+function databaseError(error) {
+	const message = _.get(error, 'parent.message') || error.message || '';
+
+	if (message.startsWith('invalid input syntax') || message.startsWith('invalid input value')) {
+		return new RestError({
+			status: 400, code: 'invalid value', message: 'A value is not in a valid format',
+		});
+	}
+
+	return new RestError({
+		status: 500, code: 'internal error', message: 'A database error occurred',
+	});
+}
+
+const defaultMappers = {
+	SequelizeValidationError: validationError,
+	SequelizeUniqueConstraintError: uniqueConstraintError,
+	SequelizeForeignKeyConstraintError: foreignKeyConstraintError,
+	SequelizeDatabaseError: databaseError,
+};
+
+/**
+  * Translate an error thrown by Sequelize
+  *
+  * @param {Error} error The error that was thrown
+  * @param {Object} context { ctx, action, name, modelClass } passed to the mapper
+  * @param {Object} mappers Mappers by error name that are tried before the defaults
+  * @returns {Error} The translated error, or the original error if it isn't from Sequelize
+  */
+function translateError(error, context, mappers = {}) {
+	if (!error || !_.isString(error.name) || !error.name.startsWith('Sequelize')) return error;
+
+	const custom = mappers[error.name] && mappers[error.name](error, context);
+	if (custom) return custom;
+
+	const mapper = defaultMappers[error.name] ||
+		(error instanceof Error && error.parent ? databaseError : null);
+
+	return mapper ? mapper(error, context) : error;
+}
+
+// Map column names back to the names of the model's attributes
+function attributeNames(modelClass, columns) {
+	const attributes = (modelClass && modelClass.rawAttributes) || {};
+
+	return columns.map((column) => {
+		const attribute = _.findKey(attributes, a => a.field === column);
+		return attribute || column;
+	});
+}
+
+module.exports = {
+	defaultMappers,
+	translateError,
+};
@@ -0,0 +1,95 @@
+'use strict';
+
+const _ = require('lodash');
+const { RestError } = require('parkes-rest-error');
+const { associationPath, includeAssociationPath } = require('./include');
+
+const DIRECTIONS = ['ASC', 'DESC'];
+
+/**
+  * Builds the order for index from ?sort=
+  *
+  * Columns are comma separated and prefixed with - for descending order
+  * Columns of associated models are specified by their association alias
+  * eg ?sort=-createdAt,user.name
+  *
+  * For backwards compatibility ?order=ASC|DESC sets the direction of columns
+  * without a prefix (otherwise they are ascending), and of every column of the
+  * default sort when there is no ?sort=
+  *
+  * @param {Object} ctx Koa context
+  * @param {Object[]} include The includes of the query, associations that are sorted on
+  *		will be added if they are not already included
+  * @param {Model} modelClass Sequelize model being queried
+  * @param {string[]} options.sortable Columns that may be sorted on (defaults to
+  *		the attributes of the model)
+  * @param {string} options.defaultSort Sort to use if ?sort= is not present
+  * @returns {Object} { order, include } order for the sequelize query and the includes
+  *		it requires
+  * @throws {RestError} 400 if a column may not be sorted on
+  */
+function buildSort(ctx, include, modelClass, options) {
+	const legacyOrder = ctx.query.order && ctx.query.order.toUpperCase();
+	if (legacyOrder && !DIRECTIONS.includes(legacyOrder)) {
+		throw sortError(`order must be one of ${DIRECTIONS.join(', ')}`);
+	}
+
+	if (!ctx.query.sort) {
+		// Before ?sort= existed, ?order= set the direction of the default sort
+		const defaultSort = legacyOrder ? options.defaultSort.replace(/(^|,)-/g, '$1') :
+			options.defaultSort;
+		return { order: parseSort(defaultSort, modelClass, legacyOrder), include };
+	}
+
+	const sortable = options.sortable || Object.keys(modelClass.rawAttributes || {});
+
+	const fields = ctx.query.sort.split(',').map(field => field.trim());
+	fields.forEach((field) => {
+		const column = field.replace(/^-/, '');
+		if (!sortable.includes(column)) {
+			throw sortError(`You cannot sort by ${column || '(empty)'}`);
+		}
+	});
+
+	const order = parseSort(fields.join(','), modelClass, legacyOrder);
+	let newInclude = include;
+
+	order.forEach((item) => {
+		const path = item.slice(0, -2);
+		if (path.length) {
+			newInclude = includeAssociationPath(newInclude, path, { attributes: [] }, { attributes: [] });
+		}
+	});
+
+	return { order, include: newInclude };
+}
+
+/**
+  * Convert a sort string (eg '-createdAt,user.name') to a sequelize order
+  */
+function parseSort(sort, modelClass, defaultDirection) {
+	return sort.split(',').map((field) => {
+		const descending = field.startsWith('-');
+		const direction = descending ? 'DESC' : (defaultDirection || 'ASC');
+		const parts = (descending ? field.slice(1) : field).split('.');
+		const column = parts.pop();
+
+		return associationPath(modelClass, parts).concat([column, direction]);
+	});
+}
+
+/**
+  * True if the order sorts on the columns of an associated model
+  */
+function sortsOnAssociation(order) {
+	return order.some(item => item.length > 2 || !_.isString(item[0]));
+}
+
+function sortError(message) {
+	return new RestError({ status: 400, code: 'invalid value', message });
+}
+
+module.exports = {
+	buildSort,
+	sortsOnAssociation,
+};
@@ -0,0 +1,64 @@
+'use strict';
+
+const _ = require('lodash');
+
+/**
+  * The paths of the values in a create or update body, nested objects are
+  * followed so that { public: { theme: 'dark' } } gives ['public.theme']
+  * Arrays and empty objects are treated as values
+  *
+  * @param {Object} data The body
+  * @returns {string[]} Dotted paths
+  */
+function dataPaths(data, prefix = '') {
+	return _.flatMap(Object.keys(data), (key) => {
+		const path = `${prefix}${key}`;
+		const value = data[key];
+
+		return (_.isPlainObject(value) && !_.isEmpty(value)) ?
+			dataPaths(value, `${path}.`) : [path];
+	});
+}
+
+// path is the attribute, or within the attribute
+function isWithin(path, attribute) {
+	return path === attribute || path.startsWith(`${attribute}.`);
+}
+
+/**
+  * The attributes that may be written for an action
+  *
+  * @param {string[]|Object|function} writable An array of attributes, an object with an array
+  *		for each action ({ create, update }), or a function (ctx, action, record) returning either
+  * @param {Object} ctx Koa context
+  * @param {string} action 'create' or 'update'
+  * @param {Model} record The record being updated
+  * @returns {string[]} The attributes (dotted for nested values)
+  */
+function writableAttributes(writable, ctx, action, record) {
+	const attributes = _.isFunction(writable) ? writable(ctx, action, record) : writable;
+
+	return Array.isArray(attributes) ? attributes : (attributes && attributes[action]) || [];
+}
+
+/**
+  * @returns {string[]} The paths that are not within any of the writable attributes
+  */
+function pathsNotWritable(paths, writable) {
+	return _.uniq(paths.filter(path => !writable.some(attribute => isWithin(path, attribute))));
+}
+
+/**
+  * @returns {string[]} The restricted attributes that any of the paths are within
+  */
+function restrictedInPaths(paths, restricted) {
+	return restricted.filter(attribute => paths.some(path => isWithin(path, attribute)));
+}
+
+module.exports = {
+	dataPaths,
+	isWithin,
+	pathsNotWritable,
+	restrictedInPaths,
+	writableAttributes,
+};
@@ -0,0 +1,213 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const { Op } = require('sequelize');
+const MockModel = require('./util/mockModel');
+const ParkesController = require('../index.js');
+const { buildAggregate, formatAggregates } = require('../lib/aggregate');
+const { mockKoaContext } = require('./util/mockKoa');
+
+chai.use(sinonChai);
+
+const { expect } = chai;
+
+const Campaign = { name: 'Campaign', rawAttributes: { name: {} } };
+const Refund = { name: 'Refund', rawAttributes: { reason: {} } };
+const Donation = {
+	name: 'Donation',
+	primaryKeyAttribute: 'id',
+	rawAttributes: {
+		id: {}, status: {}, amount: {}, createdAt: { field: 'created_at' },
+	},
+	associations: {
+		campaign: { target: Campaign, as: 'campaign' },
+		refunds: { target: Refund, as: 'refunds', isMultiAssociation: true },
+	},
+};
+
+const options = {
+	aggregatable: ['amount', { attribute: 'createdAt', functions: ['min', 'max'] }],
+	groupable: ['status', 'campaign.name', 'refunds.reason'],
+};
+
+function aggregate(query, include = [], searchPaths) {
+	return buildAggregate(mockKoaContext({ query }), include, Donation, options, searchPaths);
+}
+
+describe('aggregate', () => {
+	describe('buildAggregate', () => {
+		it('selects the groups and aggregates', () => {
+			const { query } = aggregate({ aggregate: 'count,sum:amount', groupBy: 'status' });
+			const [status, count, sum] = query.attributes;
+
+			expect(status[0].col).to.eq('Donation.status');
+			expect(status[1]).to.eq('status');
+			expect(count[0].fn).to.eq('count');
+			expect(count[0].args[0].col).to.eq('Donation.id');
+			expect(count[1]).to.eq('count');
+			expect(sum[0].fn).to.eq('sum');
+			expect(sum[0].args[0].col).to.eq('Donation.amount');
+			expect(sum[1]).to.eq('sum:amount');
+			expect(query.group).to.deep.eq([status[0]]);
+		});
+
+		it('groups by association columns and includes them', () => {
+			const { query } = aggregate({ aggregate: 'count', groupBy: 'campaign.name' });
+
+			expect(query.attributes[0][0].col).to.eq('campaign.name');
+			expect(query.include).to.deep.eq([{ model: Campaign, as: 'campaign', attributes: [] }]);
+			// The join could repeat donations
+			expect(query.attributes[1][0].args[0].fn).to.eq('DISTINCT');
+		});
+
+		it('only keeps the includes that filter, without their attributes', () => {
+			const include = [
+				{ model: Campaign, where: { id: 1 }, include: [{ model: Donation }] },
+				{ model: Refund, as: 'refunds' },
+				{ model: Refund, where: { reason: 'fraud' }, required: false },
+			];
+			const { query } = aggregate({ aggregate: 'count' }, include);
+
+			expect(query.include).to.deep.eq([{
+				model: Campaign,
+				where: { id: 1 },
+				attributes: [],
+				include: [],
+			}]);
+		});
+
+		it('keeps the associations that are searched', () => {
+			const { query } = aggregate({ aggregate: 'sum:amount' }, [{ model: Campaign, as: 'campaign' }], [[{ model: Campaign, as: 'campaign' }]]);
+			expect(query.include).to.deep.eq([{ model: Campaign, as: 'campaign', attributes: [] }]);
+		});
+
+		it('refuses sum and avg when a hasMany join can repeat records', () => {
+			const include = [{ model: Refund, as: 'refunds', required: true }];
+
+			expect(() => aggregate({ aggregate: 'sum:amount' }, include))
+				.to.throw('You cannot sum amount here, as joining refunds can repeat records');
+			expect(() => aggregate({ aggregate: 'avg:amount' }, include)).to.throw('You cannot avg amount');
+
+			const { query } = aggregate({ aggregate: 'count,max:createdAt' }, include);
+			expect(query.attributes[0][0].args[0].fn).to.eq('DISTINCT');
+		});
+
+		it('allows sums grouped by a hasMany association', () => {
+			const { query } = aggregate({ aggregate: 'sum:amount', groupBy: 'refunds.reason' });
+			expect(query.attributes[1][0].fn).to.eq('sum');
+		});
+
+		it('refuses attributes that are only inherited names', () => {
+			expect(() => aggregate({ aggregate: 'sum:constructor' })).to.throw('You cannot sum constructor');
+			expect(() => aggregate({ aggregate: 'min:__proto__' })).to.throw('You cannot min __proto__');
+		});
+
+		it('refuses models without aggregatable or groupable', () => {
+			expect(() => buildAggregate(mockKoaContext({ query: { aggregate: 'count' } }), [], Donation, {}))
+				.to.throw('Donation can not be aggregated');
+		});
+
+		it('sorts by groups or aggregates', () => {
+			const { query } = aggregate({ aggregate: 'sum:amount', groupBy: 'status', sort: '-sum:amount,status' });
+
+			expect(query.order[0][0].fn).to.eq('sum');
+			expect(query.order[0][1]).to.eq('DESC');
+			expect(query.order[1]).to.deep.eq([query.group[0], 'ASC']);
+		});
+
+		it('only allows the functions declared for an attribute', () => {
+			expect(aggregate({ aggregate: 'max:createdAt' }).query.attributes[0][0].args[0].col)
+				.to.eq('Donation.created_at');
+			expect(() => aggregate({ aggregate: 'sum:createdAt' })).to.throw('You cannot sum createdAt');
+		});
+
+		it('rejects attributes that are not aggregatable', () => {
+			expect(() => aggregate({ aggregate: 'sum:id' })).to.throw('You cannot sum id');
+		});
+
+		it('rejects columns that are not groupable', () => {
+			expect(() => aggregate({ aggregate: 'count', groupBy: 'amount' }))
+				.to.throw('You cannot group by amount');
+		});
+
+		it('rejects unknown functions', () => {
+			expect(() => aggregate({ aggregate: 'median:amount' }))
+				.to.throw('Unknown aggregate function median');
+		});
+
+		it('rejects sorting by columns that are not in the result', () => {
+			expect(() => aggregate({ aggregate: 'count', sort: 'amount' }))
+				.to.throw('You cannot sort by amount');
+		});
+	});
+
+	describe('formatAggregates', () => {
+		it('nests aggregates by function and converts numbers', () => {
+			const { aggregates, groups } = aggregate({
+				aggregate: 'count,sum:amount,max:createdAt',
+				groupBy: 'status,campaign.name',
+			});
+			const date = new Date();
+			const [result] = formatAggregates([{
+				status: 'paid', 'campaign.name': 'Equality', count: '3', 'sum:amount': '150.50', 'max:createdAt': date,
+			}], aggregates, groups);
+
+			expect(result).to.deep.eq({
+				status: 'paid',
+				campaign: { name: 'Equality' },
+				count: 3,
+				sum: { amount: 150.5 },
+				max: { createdAt: date },
+			});
+			expect(result.toPublic()).to.eq(result);
+		});
+	});
+
+	describe('ParkesController#index with ?aggregate=', () => {
+		const authorize = sinon.spy();
+		let models;
+		let controller;
+
+		function context(query) {
+			return mockKoaContext({
+				query, params: {}, request: {}, state: {}, get: () => '', set: () => {},
+			});
+		}
+
+		beforeEach(() => {
+			authorize.reset();
+			models = { Donation: MockModel('Donation', {}) };
+			models.Donation.rawAttributes = Donation.rawAttributes;
+			models.Donation.findAll = sinon.spy(async () => [{ status: 'paid', count: '2' }]);
+			controller = new ParkesController('donation', Object.assign({
+				models, authorize, filterAttributes: ['status'],
+			}, options));
+		});
+
+		it('aggregates the records index would list', async () => {
+			const ctx = context({ aggregate: 'count', groupBy: 'status', status: 'paid' });
+			await controller.index(ctx, async () => {
+				expect(ctx.state.data.collection).to.deep.eq([{ status: 'paid', count: 2 }]);
+			});
+
+			const query = models.Donation.findAll.firstCall.args[0];
+			expect(query.raw).to.eq(true);
+			expect(query.where[Op.and]).to.deep.include({ status: 'paid' });
+			expect(authorize).to.have.been.calledWith(ctx, sinon.match({
+				action: 'aggregate', model: models.Donation,
+			}));
+		});
+
+		it('selects the records that beforeIndex allows', async () => {
+			controller.beforeIndex = async (ctx) => { ctx.where = { campaignId: 3 }; };
+			await controller.index(context({ aggregate: 'count' }));
+
+			expect(models.Donation.findAll.firstCall.args[0].where).to.include({ campaignId: 3 });
+		});
+
+		it('limits the number of groups', async () => {
+			await controller.index(context({ aggregate: 'count', groupBy: 'status', limit: '5' }));
+			expect(models.Donation.findAll.firstCall.args[0].limit).to.eq(5);
+		});
+	});
+});
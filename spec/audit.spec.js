@@ -0,0 +1,113 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const ParkesController = require('../index.js');
+const RestHandler = require('../lib/restHandler');
+const { auditChanges } = require('../lib/audit');
+const { mockKoaContext } = require('./util/mockKoa');
+const { mockUserModels, mockUserRecord } = require('./util/mockUser');
+
+chai.use(sinonChai);
+
+const { expect } = chai;
+
+function mockModels() {
+	const models = mockUserModels('Audit');
+	models.User.create = async data => Object.assign({ id: 1, uuid: 'user-1', role: 'x' }, data);
+
+	return models;
+}
+
+function context(data) {
+	return mockKoaContext({
+		request: { body: { data } },
+		state: { user: { id: 9 }, transaction: 'transaction' },
+		get: () => '',
+	});
+}
+
+describe('audit', () => {
+	describe('auditChanges', () => {
+		it('keeps only the attributes that changed', () => {
+			expect(auditChanges({ a: 1, b: { c: 2 } }, { a: 1, b: { c: 3 } }))
+				.to.deep.eq({ previous: { b: { c: 2 } }, current: { b: { c: 3 } } });
+		});
+	});
+
+	describe('RestHandler with options.audit', () => {
+		let models;
+		let rest;
+		let auditCreate;
+
+		beforeEach(() => {
+			models = mockModels();
+			auditCreate = sinon.spy(models.Audit, 'create');
+			rest = new RestHandler('user', { models, audit: true, allowed: ['password'] });
+		});
+
+		it('records the whole record on create', async () => {
+			await rest.create(context({ name: 'Ada', password: 'secret' }));
+
+			expect(auditCreate).to.have.been.calledWith({
+				action: 'create',
+				resource: 'User',
+				resourceId: 'user-1',
+				userId: 9,
+				previous: null,
+				current: { id: 1, uuid: 'user-1', name: 'Ada' },
+			}, { transaction: 'transaction' });
+		});
+
+		it('records the previous and new values of changed attributes on update', async () => {
+			await rest.update(context({ name: 'Grace', password: 'changed' }), mockUserRecord());
+
+			expect(auditCreate).to.have.been.calledWith(sinon.match({
+				action: 'update', previous: { name: 'Ada' }, current: { name: 'Grace' },
+			}));
+		});
+
+		it('does not record updates that change nothing', async () => {
+			await rest.update(context({ name: 'Ada' }), mockUserRecord());
+			expect(auditCreate).to.have.callCount(0);
+		});
+
+		it('records the whole record on destroy', async () => {
+			await rest.destroy(context(), mockUserRecord(), { force: true });
+
+			expect(auditCreate).to.have.been.calledWith(sinon.match({
+				action: 'forceDestroy', previous: { id: 1, uuid: 'user-1', name: 'Ada' }, current: null,
+			}));
+		});
+
+		it('requires the audit model', () => {
+			expect(() => new RestHandler('user', { models: { User: models.User }, audit: true }))
+				.to.throw('Audit model Audit cannot be found in options.models');
+		});
+	});
+
+	describe('ParkesController#history', () => {
+		const entries = [{ action: 'update', previous: { name: 'Ada', email: 'a@b' }, current: { name: 'Grace' } }];
+		const models = mockModels();
+		models.User.findOne = async () => mockUserRecord();
+		models.Audit.findAndCountAll = sinon.spy(async () => ({ count: 1, rows: entries }));
+		const authorize = sinon.spy();
+		const controller = new ParkesController('user', {
+			models, authorize, audit: true, readable: ['name'],
+		});
+
+		it('returns the audit trail limited to readable attributes', async () => {
+			const ctx = mockKoaContext({
+				params: { user: 'user-1' }, state: {}, href: 'http://api/users/user-1/history',
+			});
+			await controller.history(ctx, async () => {});
+
+			expect(authorize).to.have.been.calledWith(ctx, sinon.match({ action: 'history' }));
+			expect(models.Audit.findAndCountAll).to.have.been.calledWith(sinon.match({
+				where: { resource: 'User', resourceId: 'user-1' },
+			}));
+			expect(ctx.state.data.collection).to.deep.eq([
+				{ action: 'update', previous: { name: 'Ada' }, current: { name: 'Grace' } },
+			]);
+		});
+	});
+});
@@ -0,0 +1,161 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const MockModel = require('./util/mockModel');
+const RestHandler = require('../lib/restHandler');
+const { MemoryStore, deserialize, serialize } = require('../lib/cache');
+const { mockKoaContext } = require('./util/mockKoa');
+
+chai.use(sinonChai);
+
+const { expect } = chai;
+
+describe('cache', () => {
+	describe('MemoryStore', () => {
+		it('evicts the least recently used entry', async () => {
+			const store = new MemoryStore({ max: 2 });
+			await store.set('a', '1');
+			await store.set('b', '2');
+			await store.get('a');
+			await store.set('c', '3');
+
+			expect(await store.get('a')).to.eq('1');
+			expect(await store.get('b')).to.eq(undefined);
+			expect(await store.get('c')).to.eq('3');
+		});
+
+		it('expires entries', async () => {
+			const clock = sinon.useFakeTimers();
+			const store = new MemoryStore();
+			await store.set('a', '1', 10);
+			clock.tick(10000);
+
+			expect(await store.get('a')).to.eq(undefined);
+			clock.restore();
+		});
+	});
+
+	describe('serialize', () => {
+		it('keeps dates', () => {
+			const value = { updatedAt: new Date('2020-01-01T00:00:00Z'), tags: ['a'] };
+			expect(deserialize(serialize(value))).to.deep.eq(value);
+		});
+	});
+
+	describe('RestHandler with options.cache', () => {
+		const record = { id: 1, uuid: 'campaign-1', name: 'Equality' };
+		let models;
+		let rest;
+
+		function context(options) {
+			return mockKoaContext(Object.assign({
+				params: { campaign: 'campaign-1' }, query: {}, state: {}, href: 'http://api/campaigns',
+			}, options));
+		}
+
+		beforeEach(() => {
+			models = { Campaign: MockModel('Campaign', record) };
+			models.Campaign.findOne = sinon.spy(async () => Object.assign({}, record));
+			models.Campaign.findAndCountAll = sinon.spy(async () => ({ count: 1, rows: [record] }));
+			rest = new RestHandler('campaign', { models, cache: true });
+		});
+
+		it('caches show until the record changes', async () => {
+			expect(await rest.show(context())).to.deep.eq(record);
+			expect(await rest.show(context())).to.deep.eq(record);
+			expect(models.Campaign.findOne).to.have.callCount(1);
+
+			const updated = Object.assign({ update: async () => {} }, record);
+			await rest.update(context({ request: { body: { data: { name: 'Pride' } } } }), updated);
+
+			await rest.show(context());
+			expect(models.Campaign.findOne).to.have.callCount(2);
+		});
+
+		it('does not cache a show that a write overtook', async () => {
+			models.Campaign.findOne = sinon.spy(async () => {
+				// A write commits while the query is running
+				if (models.Campaign.findOne.callCount === 1) await rest.invalidateCache(context(), record);
+				return Object.assign({}, record);
+			});
+
+			await rest.show(context());
+			await rest.show(context());
+			expect(models.Campaign.findOne).to.have.callCount(2);
+		});
+
+		it('caches a show found by an alias until the collection changes', async () => {
+			models.Campaign.whereByAlias = slug => ({ slug });
+
+			await rest.show(context({ params: { campaign: 'equality' } }));
+			await rest.show(context({ params: { campaign: 'equality' } }));
+			expect(models.Campaign.findOne).to.have.callCount(1);
+
+			await rest.invalidateCache(context(), record);
+
+			await rest.show(context({ params: { campaign: 'equality' } }));
+			expect(models.Campaign.findOne).to.have.callCount(2);
+		});
+
+		it('caches index by query until the collection changes', async () => {
+			await rest.index(context({ query: { q: 'eq', limit: '5' } }));
+			await rest.index(context({ query: { limit: '5', q: 'eq' } }));
+			expect(models.Campaign.findAndCountAll).to.have.callCount(1);
+
+			await rest.index(context({ query: { q: 'other' } }));
+			expect(models.Campaign.findAndCountAll).to.have.callCount(2);
+
+			await rest.create(context({ request: { body: { data: { name: 'Pride' } } } }));
+			await rest.index(context({ query: { q: 'eq', limit: '5' } }));
+			expect(models.Campaign.findAndCountAll).to.have.callCount(3);
+		});
+
+		it('invalidates again once the transaction commits', async () => {
+			const ctx = context({ request: { body: { data: { name: 'Pride' } } } });
+			const updated = Object.assign({ update: async () => {} }, record);
+			await rest.transaction(ctx, async () => {
+				await rest.update(ctx, updated);
+				// A read by another request before the commit sees the old values
+				await rest.show(context());
+			});
+
+			await rest.show(context());
+			expect(models.Campaign.findOne).to.have.callCount(2);
+		});
+
+		it('does not share entries between callers with an authorization scope', async () => {
+			rest = new RestHandler('campaign', {
+				models, cache: true, authorizationWhere: ctx => ({ userId: ctx.state.user.id }),
+			});
+
+			await rest.show(context({ state: { user: { id: 1 } } }));
+			await rest.show(context({ state: { user: { id: 2 } } }));
+			await rest.show(context({ state: { user: { id: 1 } } }));
+			expect(models.Campaign.findOne).to.have.callCount(2);
+		});
+
+		it('expires versions, and entries no later than them', async () => {
+			const store = { get: async () => undefined, set: sinon.spy(async () => {}) };
+			rest = new RestHandler('campaign', {
+				models, cache: { store, ttl: () => undefined, versionTtl: 600 },
+			});
+
+			await rest.show(context());
+			expect(store.set).to.have.been.calledWith(sinon.match(':show:'), sinon.match.string, 600);
+
+			await rest.invalidateCache(context(), record);
+			expect(store.set).to.have.been.calledWith('parkes:Campaign:version:campaign-1', sinon.match.string, 600);
+			expect(store.set).to.have.been.calledWith('parkes:Campaign:version', sinon.match.string, 600);
+		});
+
+		it('can be bypassed', async () => {
+			rest = new RestHandler('campaign', {
+				models, cache: { bypass: ctx => !!ctx.query.fresh, ttl: 10 },
+			});
+
+			await rest.show(context({ query: { fresh: '1' } }));
+			await rest.show(context({ query: { fresh: '1' } }));
+			expect(models.Campaign.findOne).to.have.callCount(2);
+		});
+	});
+});
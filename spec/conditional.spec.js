@@ -0,0 +1,218 @@
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const MockModel = require('./util/mockModel');
+const ParkesController = require('../index.js');
+const {
+	checkPreconditions, collectionValidators, recordValidators, representation, respondConditionally,
+} = require('../lib/conditional');
+
+chai.use(chaiAsPromised);
+chai.use(sinonChai);
+
+const { expect } = chai;
+
+const options = {
+	versionColumn: 'updatedAt',
+	updatedAtColumn: 'updatedAt',
+	resourceIdColumn: 'uuid',
+};
+
+const updatedAt = new Date('2018-01-01T10:00:00Z');
+const record = { uuid: 'abc', updatedAt };
+
+function context(method, headers) {
+	const requestHeaders = {};
+	Object.keys(headers || {}).forEach((key) => {
+		requestHeaders[key.toLowerCase()] = headers[key];
+	});
+
+	const ctx = {
+		method,
+		status: 404,
+		response: {},
+		get: name => requestHeaders[name.toLowerCase()] || '',
+		set: (name, value) => { ctx.response[name] = value; },
+	};
+	return ctx;
+}
+
+describe('conditional', () => {
+	const { etag } = recordValidators(record, options);
+
+	describe('recordValidators', () => {
+		it('changes the etag when the version changes', () => {
+			const changed = { uuid: 'abc', updatedAt: new Date('2018-01-02T10:00:00Z') };
+			expect(recordValidators(changed, options).etag).to.not.eq(etag);
+		});
+
+		it('uses a version column', () => {
+			const opts = Object.assign({}, options, { versionColumn: 'version' });
+			const v1 = recordValidators(Object.assign({ version: 1 }, record), opts);
+			const v2 = recordValidators(Object.assign({ version: 2 }, record), opts);
+			expect(v1.etag).to.not.eq(v2.etag);
+		});
+
+		it('builds weak etags that differ for each representation', () => {
+			const variant = query => representation({ query });
+			const privateFields = variant({ fields: 'title', private: '1' });
+			const fields = recordValidators(record, options, privateFields).etag;
+
+			expect(etag).to.match(/^W\/"[^"]+"$/);
+			expect(fields).to.not.eq(etag);
+			expect(fields).to.not.eq(recordValidators(record, options, variant({ fields: 'title' })).etag);
+			expect(variant({ a: '1', b: '2' })).to.eq(variant({ b: '2', a: '1' }));
+		});
+
+		it('has no validators without the columns', () => {
+			expect(recordValidators({ uuid: 'abc' }, options))
+				.to.deep.eq({ etag: undefined, lastModified: undefined });
+		});
+	});
+
+	describe('collectionValidators', () => {
+		it('uses the latest modification', () => {
+			const later = { uuid: 'def', updatedAt: new Date('2018-02-01T10:00:00Z') };
+			const validators = collectionValidators([record, later], { total: 2 }, options);
+			expect(validators.lastModified).to.deep.eq(later.updatedAt);
+		});
+	});
+
+	describe('respondConditionally', () => {
+		it('sets the headers', () => {
+			const ctx = context('GET');
+			respondConditionally(ctx, recordValidators(record, options));
+
+			expect(ctx.response).to.deep.eq({ ETag: etag, 'Last-Modified': updatedAt.toUTCString() });
+			expect(ctx.status).to.eq(404);
+		});
+
+		it('responds 304 when the etag matches', () => {
+			const ctx = context('GET', { 'If-None-Match': `"other", ${etag}` });
+			respondConditionally(ctx, recordValidators(record, options));
+			expect(ctx.status).to.eq(304);
+		});
+
+		it('responds 304 when not modified since', () => {
+			const ctx = context('GET', { 'If-Modified-Since': updatedAt.toUTCString() });
+			respondConditionally(ctx, recordValidators(record, options));
+			expect(ctx.status).to.eq(304);
+		});
+
+		it('does not respond 304 to writes', () => {
+			const ctx = context('PATCH', { 'If-None-Match': etag });
+			respondConditionally(ctx, recordValidators(record, options));
+			expect(ctx.status).to.eq(404);
+		});
+	});
+
+	describe('checkPreconditions', () => {
+		it('passes when the etag matches', () => {
+			checkPreconditions(context('PATCH', { 'If-Match': etag }), record, options);
+		});
+
+		it('passes when the etag of another representation matches', () => {
+			const variant = representation({ query: { private: '1' } });
+			const variantETag = recordValidators(record, options, variant).etag;
+			checkPreconditions(context('PATCH', { 'If-Match': variantETag }), record, options);
+		});
+
+		it('rejects stale etags with 412', () => {
+			const ctx = context('PATCH', { 'If-Match': '"stale"' });
+			expect(() => checkPreconditions(ctx, record, options))
+				.to.throw('The record has been modified since it was fetched')
+				.with.property('status', 412);
+		});
+
+		it('rejects writes when modified since', () => {
+			const ctx = context('PATCH', { 'If-Unmodified-Since': 'Sun, 31 Dec 2017 00:00:00 GMT' });
+			expect(() => checkPreconditions(ctx, record, options)).to.throw().with.property('status', 412);
+		});
+
+		it('passes without preconditions by default', () => {
+			checkPreconditions(context('PATCH'), record, options);
+		});
+
+		it('requires preconditions if configured', () => {
+			const opts = Object.assign({ requirePreconditions: true }, options);
+			expect(() => checkPreconditions(context('PATCH'), record, opts))
+				.to.throw().with.property('status', 428);
+		});
+	});
+
+	describe('ParkesController preconditions', () => {
+		let models;
+		let transaction;
+
+		function controller(opts) {
+			return new ParkesController('post', Object.assign({ models, authorize: false }, opts));
+		}
+
+		function request(headers, body) {
+			const ctx = context('PATCH', headers);
+			return Object.assign(ctx, {
+				query: {}, params: { post: 'abc' }, state: {}, request: { body },
+			});
+		}
+
+		beforeEach(() => {
+			transaction = { commit: sinon.spy(async () => {}), rollback: sinon.spy(async () => {}) };
+			models = { Post: MockModel('Post', record) };
+			models.Post.options = { timestamps: true };
+			models.Post.sequelize.transaction = async () => transaction;
+			models.Post.findOne = sinon.spy(async () => Object.assign({
+				update: sinon.spy(async () => {}), restore: async () => {}, deletedAt: new Date(),
+			}, record));
+		});
+
+		it('locks the record in a transaction while checking it', async () => {
+			const ctx = request({ 'If-Match': etag }, { data: { title: 'New' } });
+			await controller().update(ctx, async () => {});
+
+			const query = models.Post.findOne.firstCall.args[0];
+			expect(query.transaction).to.eq(transaction);
+			expect(query.lock.level).to.eq('UPDATE');
+			expect(transaction.commit).to.have.callCount(1);
+		});
+
+		it('does not send validators for requests with ?include=', async () => {
+			const ctx = Object.assign(request({ 'If-None-Match': etag }), { method: 'GET' });
+			ctx.query.include = 'comments';
+			models.Post.associations = { comments: { target: MockModel('Comment', {}), as: 'comments' } };
+			await controller({ includable: ['comments'] }).show(ctx, async () => {});
+
+			expect(ctx.status).to.eq(404);
+			expect(ctx.response).to.not.have.property('ETag');
+		});
+
+		it('checks restores', async () => {
+			const ctx = request({ 'If-Match': '"stale"' });
+			await expect(controller().restore(ctx, async () => {}))
+				.to.be.rejectedWith('The record has been modified since it was fetched');
+		});
+
+		it('checks each record of a bulk update against the ETags in If-Match', async () => {
+			const other = { uuid: 'def', updatedAt };
+			models.Post.findOne = async ({ where }) => Object.assign(
+				{ update: async () => {} },
+				where.uuid === 'abc' ? record : other,
+			);
+			const ctx = request({ 'If-Match': `${etag}, "stale"` }, {
+				data: [{ uuid: 'abc', title: 'New' }, { uuid: 'def', title: 'New' }],
+			});
+			await controller().bulkUpdate(ctx, async () => {});
+
+			const [matched, stale] = ctx.state.data.results;
+			expect(matched.success).to.eq(true);
+			expect(stale).to.include({ success: false, status: 412 });
+		});
+
+		it('requires preconditions for bulk writes if configured', async () => {
+			const ctx = request({}, { data: ['abc'] });
+			await controller({ requirePreconditions: true }).bulkDestroy(ctx, async () => {});
+
+			expect(ctx.state.data.results[0]).to.include({ success: false, status: 428 });
+		});
+	});
+});
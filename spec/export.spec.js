@@ -0,0 +1,184 @@
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const { Op } = require('sequelize');
+const MockModel = require('./util/mockModel');
+const ParkesController = require('../index.js');
+const { createExportStream, csvValue, exportFormat } = require('../lib/export');
+const { mockKoaContext } = require('./util/mockKoa');
+
+chai.use(chaiAsPromised);
+chai.use(sinonChai);
+
+const { expect } = chai;
+
+function readStream(stream) {
+	return new Promise((resolve, reject) => {
+		let text = '';
+		stream.on('data', (chunk) => { text += chunk; });
+		stream.on('end', () => resolve(text));
+		stream.on('error', reject);
+	});
+}
+
+function batches(...rows) {
+	const remaining = rows.slice();
+	return async () => remaining.shift() || [];
+}
+
+describe('export', () => {
+	describe('exportFormat', () => {
+		function format(query, accept) {
+			return exportFormat(mockKoaContext({ query, get: () => accept }));
+		}
+
+		it('uses ?format=', () => {
+			expect(format({ format: 'csv' })).to.eq('csv');
+			expect(format({ format: 'json' }, 'text/csv')).to.eq(undefined);
+		});
+
+		it('uses the Accept header', () => {
+			expect(format({}, 'application/x-ndjson')).to.eq('ndjson');
+			expect(format({}, 'application/json, */*')).to.eq(undefined);
+		});
+
+		it('rejects unknown formats', () => {
+			expect(() => format({ format: 'xml' })).to.throw('format must be one of json, csv, ndjson');
+		});
+	});
+
+	describe('csvValue', () => {
+		it('quotes values with separators and quotes', () => {
+			expect(csvValue('plain')).to.eq('plain');
+			expect(csvValue('a, "b"')).to.eq('"a, ""b"""');
+			expect(csvValue('two\nlines')).to.eq('"two\nlines"');
+		});
+
+		it('formats other values', () => {
+			expect(csvValue(null)).to.eq('');
+			expect(csvValue(3)).to.eq('3');
+			expect(csvValue(new Date('2020-01-01T00:00:00Z'))).to.eq('2020-01-01T00:00:00.000Z');
+			expect(csvValue({ a: 1 })).to.eq('"{""a"":1}"');
+		});
+
+		it('stops spreadsheets reading text as a formula', () => {
+			expect(csvValue('=HYPERLINK("http://example.com")')).to.eq('"\'=HYPERLINK(""http://example.com"")"');
+			['+1', '-1', '@SUM(A1)', '\tx'].forEach(text => expect(csvValue(text)).to.eq(`'${text}`));
+			expect(csvValue(-3)).to.eq('-3');
+		});
+	});
+
+	describe('createExportStream', () => {
+		it('writes CSV with a header from the first row', async () => {
+			const stream = await createExportStream(batches([{ id: 1, name: 'Ada' }], [{ id: 2, name: 'Grace' }]), 'csv');
+			expect(await readStream(stream)).to.eq('id,name\r\n1,Ada\r\n2,Grace\r\n');
+		});
+
+		it('writes the chosen columns', async () => {
+			const rows = [{ id: 1, name: 'Ada', user: { email: 'ada@example.com' } }];
+			const stream = await createExportStream(batches(rows), 'csv', ['name', 'user.email']);
+			expect(await readStream(stream)).to.eq('name,user.email\r\nAda,ada@example.com\r\n');
+		});
+
+		it('writes a header when there are no rows', async () => {
+			const stream = await createExportStream(batches(), 'csv', ['name']);
+			expect(await readStream(stream)).to.eq('name\r\n');
+		});
+
+		it('writes NDJSON', async () => {
+			const rows = [{ id: 1, name: 'Ada', user: { email: 'ada@example.com' } }, { id: 2 }];
+			const stream = await createExportStream(batches(rows), 'ndjson', ['id', 'user.email']);
+			expect(await readStream(stream))
+				.to.eq('{"id":1,"user":{"email":"ada@example.com"}}\n{"id":2}\n');
+		});
+
+		it('fetches the first batch before returning', async () => {
+			const nextBatch = async () => { throw new Error('query failed'); };
+			await expect(createExportStream(nextBatch, 'csv')).to.be.rejectedWith('query failed');
+		});
+
+		it('emits errors from later batches', async () => {
+			let calls = 0;
+			const nextBatch = async () => {
+				calls += 1;
+				if (calls > 1) throw new Error('query failed');
+				return [{ id: 1 }];
+			};
+			const stream = await createExportStream(nextBatch, 'csv');
+			await expect(readStream(stream)).to.be.rejectedWith('query failed');
+		});
+	});
+
+	describe('ParkesController#index exporting', () => {
+		const authorize = sinon.spy();
+		let models;
+		let controller;
+		let ctx;
+
+		function record(id) {
+			const values = { id, uuid: `user-${id}`, name: `User ${id}` };
+			return Object.assign({
+				get: column => values[column],
+				toPublic: async () => ({ uuid: values.uuid, name: values.name }),
+			}, values);
+		}
+
+		beforeEach(() => {
+			authorize.reset();
+			models = { User: MockModel('User', {}) };
+			models.User.rawAttributes = { id: {}, uuid: {}, name: {} };
+			models.User.findAll = sinon.stub();
+			models.User.findAll.onCall(0).resolves([record(1), record(2)]);
+			models.User.findAll.onCall(1).resolves([record(3)]);
+			controller = new ParkesController('user', {
+				models, authorize, exportBatchSize: 2, defaultSort: 'id',
+			});
+			ctx = mockKoaContext({
+				query: {}, params: {}, state: {}, get: () => 'text/csv', set: sinon.spy(),
+			});
+		});
+
+		it('streams every record in batches', async () => {
+			await controller.index(ctx);
+
+			expect(await readStream(ctx.body)).to.eq('uuid,name\r\nuser-1,User 1\r\nuser-2,User 2\r\nuser-3,User 3\r\n');
+			expect(ctx.type).to.eq('text/csv');
+			expect(ctx.set).to.have.been.calledWith('Content-Disposition', 'attachment; filename="users.csv"');
+		});
+
+		it('fetches each batch after the last record of the previous one', async () => {
+			await controller.index(ctx);
+			await readStream(ctx.body);
+
+			expect(models.User.findAll).to.have.callCount(2);
+			const [first, second] = models.User.findAll.args.map(([query]) => query);
+			expect(first.order).to.deep.eq([['id', 'ASC']]);
+			expect(first.limit).to.eq(2);
+			expect(second.where[Op.and][1]).to.deep.eq({ [Op.or]: [{ id: { [Op.gt]: 2 } }] });
+		});
+
+		it('continues past records with NULL in the sort column', async () => {
+			const unnamed = Object.assign(record(2), { name: null, get: column => (column === 'name' ? null : 2) });
+			models.User.findAll.onCall(0).resolves([record(1), unnamed]);
+			ctx.query.sort = '-name';
+			await controller.index(ctx);
+			await readStream(ctx.body);
+
+			// Postgres sorts NULLs first in descending order, so the named records come next
+			const [after, tied] = models.User.findAll.secondCall.args[0].where[Op.and][1][Op.or];
+			expect(after.name[Op.ne]).to.eq(null);
+			expect(tied.name[Op.eq]).to.eq(null);
+			expect(tied.id[Op.lt]).to.eq(2);
+		});
+
+		it('authorizes each batch', async () => {
+			await controller.index(ctx);
+			await readStream(ctx.body);
+
+			const batchCalls = authorize.args.filter(([, options]) => Array.isArray(options.model));
+			const ids = batchCalls.map(([, options]) => options.model.map(r => r.id));
+			expect(ids).to.deep.eq([[1, 2], [3]]);
+		});
+	});
+});
@@ -0,0 +1,69 @@
+const chai = require('chai');
+const { applyFields } = require('../lib/fields');
+const { mockKoaContext } = require('./util/mockKoa');
+
+const { expect } = chai;
+
+const User = {
+	name: 'User',
+	primaryKeyAttribute: 'id',
+	rawAttributes: {
+		id: {}, uuid: {}, name: {}, email: {}, password: {},
+	},
+};
+const Post = {
+	name: 'Post',
+	primaryKeyAttribute: 'id',
+	rawAttributes: {
+		id: {}, uuid: {}, title: {}, body: {}, userId: {},
+	},
+};
+
+const include = [{ model: User, as: 'user' }];
+
+function fields(query, options) {
+	const opts = Object.assign({ resourceIdColumn: 'uuid' }, options);
+	return applyFields(mockKoaContext({ query }), include, Post, opts);
+}
+
+describe('fields', () => {
+	it('does nothing without ?fields=', () => {
+		expect(fields({})).to.deep.eq({ attributes: undefined, include });
+	});
+
+	it('selects the fields and identifying columns', () => {
+		expect(fields({ fields: 'title' }).attributes).to.deep.eq(['id', 'uuid', 'title']);
+	});
+
+	it('always selects required attributes', () => {
+		expect(fields({ fields: 'title' }, { requiredAttributes: ['userId'] }).attributes)
+			.to.deep.eq(['id', 'uuid', 'userId', 'title']);
+	});
+
+	it('selects fields of associations', () => {
+		const result = fields({ 'fields[user]': 'name' });
+		expect(result.include).to.deep.eq([{ model: User, as: 'user', attributes: ['id', 'uuid', 'name'] }]);
+		expect(include[0]).to.not.have.property('attributes');
+	});
+
+	it('rejects fields that are not readable', () => {
+		const options = { readableAttributes: ['title', 'user.name'] };
+		expect(() => fields({ fields: 'body' }, options)).to.throw('You cannot request the field body');
+		expect(() => fields({ 'fields[user]': 'password' }, options))
+			.to.throw('You cannot request the field user.password');
+	});
+
+	it('rejects fields that options.readable removes', () => {
+		const options = { readable: { public: ['title', 'user.name'], private: ['body'] } };
+		expect(fields({ fields: 'title', 'fields[user]': 'name' }, options).attributes)
+			.to.deep.eq(['id', 'uuid', 'title']);
+		expect(() => fields({ fields: 'body' }, options)).to.throw('You cannot request the field body');
+		expect(() => fields({ 'fields[user]': 'email' }, options))
+			.to.throw('You cannot request the field user.email');
+		expect(fields({ fields: 'body', private: '1' }, options).attributes).to.include('body');
+	});
+
+	it('rejects fields of associations that are not included', () => {
+		expect(() => fields({ 'fields[comments]': 'body' })).to.throw('comments, it is not included');
+	});
+});
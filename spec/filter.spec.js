@@ -0,0 +1,83 @@
+const chai = require('chai');
+const { Op } = require('sequelize');
+const { buildFilterWhere } = require('../lib/filter');
+const { mockKoaContext } = require('./util/mockKoa');
+
+const { expect } = chai;
+
+const Donation = {
+	rawAttributes: {
+		amount: { type: { key: 'INTEGER' } },
+		status: { type: { key: 'STRING' } },
+		createdAt: { type: { key: 'DATE' } },
+		anonymous: { type: { key: 'BOOLEAN' } },
+	},
+};
+
+const filterAttributes = [
+	'anonymous',
+	{ attribute: 'amount', operators: ['gte', 'lte', 'ne'] },
+	{ attribute: 'status', operators: ['in', 'like', 'null'] },
+	{ attribute: 'createdAt', operators: ['gt'] },
+];
+
+function filter(querystring, query) {
+	const ctx = mockKoaContext({ querystring, query: query || {} });
+	return buildFilterWhere(ctx, filterAttributes, Donation);
+}
+
+describe('filter', () => {
+	it('supports equality filtering on the query', () => {
+		expect(filter('', { anonymous: 'true' })).to.deep.eq([{ anonymous: true }]);
+	});
+
+	it('maps operators and coerces values', () => {
+		expect(filter('filter[amount][gte]=100&filter[amount][lte]=200')).to.deep.eq([
+			{ amount: { [Op.gte]: 100 } },
+			{ amount: { [Op.lte]: 200 } },
+		]);
+	});
+
+	it('splits lists', () => {
+		expect(filter('filter[status][in]=active,pending')).to.deep.eq([
+			{ status: { [Op.in]: ['active', 'pending'] } },
+		]);
+	});
+
+	it('escapes like patterns', () => {
+		expect(filter('filter[status][like]=50%25*')).to.deep.eq([
+			{ status: { [Op.like]: '50\\%%' } },
+		]);
+	});
+
+	it('filters on null', () => {
+		expect(filter('filter[status][null]=false')).to.deep.eq([
+			{ status: { [Op.ne]: null } },
+		]);
+	});
+
+	it('coerces dates', () => {
+		const [condition] = filter('filter[createdAt][gt]=2018-01-01');
+		expect(condition.createdAt[Op.gt]).to.be.an.instanceOf(Date);
+	});
+
+	it('rejects unknown attributes', () => {
+		expect(() => filter('filter[password][eq]=x')).to.throw('You cannot filter by password');
+	});
+
+	it('rejects unknown operators', () => {
+		expect(() => filter('filter[amount][between]=1')).to.throw('Unknown filter operator between');
+	});
+
+	it('rejects operators that are not allowed', () => {
+		expect(() => filter('filter[amount][in]=1,2')).to.throw('You cannot filter amount by in');
+	});
+
+	it('rejects invalid values', () => {
+		expect(() => filter('filter[amount][gte]=lots')).to.throw('amount must be a number');
+	});
+
+	it('requires an operator', () => {
+		expect(() => filter('filter[amount]=1')).to.throw('must specify an operator');
+	});
+});
@@ -0,0 +1,117 @@
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const MockModel = require('./util/mockModel');
+const ParkesController = require('../index.js');
+const RestHandler = require('../lib/restHandler');
+const { mockKoaContext } = require('./util/mockKoa');
+
+chai.use(chaiAsPromised);
+chai.use(sinonChai);
+
+const { expect } = chai;
+
+const campaigns = [{ id: 1, uuid: 'campaign-1' }, { id: 2, uuid: 'campaign-2' }];
+const profile = { id: 7, uuid: 'profile-7' };
+
+function mockModels() {
+	const Campaign = MockModel('Campaign', campaigns[0]);
+	Campaign.findOne = async ({ where }) => campaigns.find(c => c.uuid === where.uuid) || null;
+	Campaign.findAll = async ({ where }) => campaigns.filter(c => where.id.includes(c.id));
+
+	const Profile = MockModel('Profile', profile);
+	Profile.findOne = async ({ where }) => (where.uuid === profile.uuid ? profile : null);
+	Profile.findAll = async () => [profile];
+
+	const Donation = MockModel('Donation', { id: 3, campaignId: 1 });
+
+	return { Campaign, Profile, Donation };
+}
+
+const foreignKeys = ['campaign', { modelName: 'Profile', attribute: 'fundraiser' }];
+
+function context(data) {
+	return mockKoaContext({ request: { body: { data } }, state: {}, get: () => '' });
+}
+
+describe('foreign keys', () => {
+	describe('RestHandler#mapForeignKeyToId', () => {
+		const rest = new RestHandler('donation', { models: mockModels() });
+
+		it('replaces resource ids with ids', async () => {
+			const record = { amount: 5, campaignUuid: 'campaign-2', fundraiserUuid: 'profile-7' };
+			const references = await rest.mapForeignKeyToId(context(), record, foreignKeys);
+
+			expect(record).to.deep.eq({ amount: 5, campaignId: 2, fundraiserId: 7 });
+			expect(references).to.deep.eq([
+				{ attribute: 'campaign', model: campaigns[1] },
+				{ attribute: 'fundraiser', model: profile },
+			]);
+		});
+
+		it('allows a reference to be removed', async () => {
+			const record = { fundraiserUuid: null };
+			await rest.mapForeignKeyToId(context(), record, foreignKeys);
+			expect(record).to.deep.eq({ fundraiserId: null });
+		});
+
+		it('gives a 404 if the referenced record does not exist', async () => {
+			const record = { campaignUuid: 'missing' };
+			const error = await expect(rest.mapForeignKeyToId(context(), record, foreignKeys))
+				.to.be.rejectedWith('Could not find campaign with uuid missing');
+
+			expect(error).to.have.property('status', 404);
+		});
+
+		it('gives a 400 if a resource id is not a string or number', async () => {
+			const record = { campaignUuid: { $ne: null } };
+			const error = await expect(rest.mapForeignKeyToId(context(), record, foreignKeys))
+				.to.be.rejectedWith('campaignUuid must be a string or number');
+
+			expect(error).to.have.property('status', 400);
+			expect(record).to.not.have.property('campaignId');
+		});
+	});
+
+	describe('RestHandler with options.foreignKeys', () => {
+		const rest = new RestHandler('donation', { models: mockModels(), foreignKeys });
+
+		it('restricts the id columns', async () => {
+			await expect(rest.create(context({ campaignId: 2 })))
+				.to.be.rejectedWith('You may not update the fields: campaignId');
+		});
+
+		it('maps ids back to resource ids for output', async () => {
+			const data = [{ id: 3, campaignId: 1, fundraiserId: null }, { id: 4, campaignId: 2 }];
+			await rest.serializeForeignKeys(context(), data);
+
+			expect(data).to.deep.eq([
+				{ id: 3, campaignUuid: 'campaign-1', fundraiserUuid: null },
+				{ id: 4, campaignUuid: 'campaign-2' },
+			]);
+		});
+	});
+
+	describe('ParkesController with options.foreignKeys', () => {
+		const authorize = sinon.spy();
+		const models = mockModels();
+		const create = sinon.spy(models.Donation, 'create');
+		const controller = new ParkesController('donation', { models, authorize, foreignKeys });
+
+		async function present(ctx) {
+			ctx.body = { data: { id: 3, campaignId: 1 } };
+		}
+
+		it('authorizes referenced records as the parent and presents resource ids', async () => {
+			const ctx = context({ amount: 5, campaignUuid: 'campaign-1' });
+			await controller.create(ctx, () => present(ctx));
+
+			expect(create).to.have.been.calledWith({ amount: 5, campaignId: 1 });
+			expect(authorize).to.have.been.calledWith(ctx, sinon.match({
+				action: 'create', model: models.Donation, parent: campaigns[0], foreignKey: 'campaign',
+			}));
+			expect(ctx.body.data).to.deep.eq({ id: 3, campaignUuid: 'campaign-1' });
+		});
+	});
+});
@@ -0,0 +1,94 @@
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const MockModel = require('./util/mockModel');
+const ParkesController = require('../index.js');
+const { addHook, hook } = require('../lib/hook');
+const { mockKoaContext } = require('./util/mockKoa');
+
+chai.use(chaiAsPromised);
+chai.use(sinonChai);
+
+const { expect } = chai;
+
+describe('hook', () => {
+	it('runs listeners by priority, then in the order they were added', async () => {
+		const calls = [];
+		const source = {
+			async beforeShow() { calls.push('method'); },
+		};
+		addHook(source, 'beforeShow', async () => { calls.push('first'); });
+		addHook(source, 'beforeShow', async () => { calls.push('urgent'); }, { priority: 10 });
+		addHook(source, 'beforeShow', async () => { calls.push('last'); }, { priority: -1 });
+		addHook(source, 'beforeShow', async () => { calls.push('second'); });
+
+		await hook(source, 'beforeShow', 'ctx');
+		expect(calls).to.deep.eq(['urgent', 'method', 'first', 'second', 'last']);
+	});
+
+	it('passes returned values on to the next listener', async () => {
+		const source = {};
+		const last = sinon.spy();
+		addHook(source, 'beforeCreate', async (ctx, record) => Object.assign({ slug: 'hi' }, record));
+		addHook(source, 'beforeCreate', async () => undefined);
+		addHook(source, 'beforeCreate', last);
+
+		const result = await hook(source, 'beforeCreate', 'ctx', { title: 'Hi' });
+
+		expect(last).to.have.been.calledWith('ctx', { slug: 'hi', title: 'Hi' });
+		expect(result).to.deep.eq({ slug: 'hi', title: 'Hi' });
+	});
+
+	it('only passes on objects', async () => {
+		const source = {};
+		const last = sinon.spy();
+		addHook(source, 'beforeCreate', async () => null);
+		addHook(source, 'beforeCreate', async () => 'slug');
+		addHook(source, 'beforeCreate', last);
+
+		const result = await hook(source, 'beforeCreate', 'ctx', { title: 'Hi' });
+
+		expect(last).to.have.been.calledWith('ctx', { title: 'Hi' });
+		expect(result).to.eq(null);
+	});
+
+	it('stops at the first error', async () => {
+		const source = {};
+		const after = sinon.spy();
+		addHook(source, 'beforeCreate', async () => { throw new Error('no slug'); });
+		addHook(source, 'beforeCreate', after);
+
+		await expect(hook(source, 'beforeCreate', 'ctx', {})).to.be.rejectedWith('no slug');
+		expect(after).to.have.callCount(0);
+	});
+
+	it('resolves to null without listeners', async () => {
+		expect(await hook({}, 'beforeShow', 'ctx')).to.eq(null);
+	});
+
+	it('only accepts functions', () => {
+		expect(() => addHook({}, 'beforeShow', 'notAFunction'))
+			.to.throw('The listener for beforeShow must be a function');
+	});
+
+	describe('ParkesController#hook', () => {
+		it('lets several listeners change the record to create', async () => {
+			const models = { Post: MockModel('Post', {}) };
+			models.Post.create = sinon.spy(async data => data);
+			const controller = new ParkesController('post', { models, authorize: false });
+
+			controller.beforeCreate = async (ctx, record) => Object.assign({}, record, { userId: 1 });
+			controller
+				.hook('beforeCreate', async (ctx, record) => Object.assign({}, record, { slug: 'hello' }))
+				.hook('beforeCreate', async (ctx, record) => Object.assign({}, record, { title: 'Hello' }), { priority: 1 });
+
+			const ctx = mockKoaContext({
+				request: { body: { data: { title: 'hello' } } }, state: {}, get: () => '',
+			});
+			await controller.create(ctx, async () => {});
+
+			expect(models.Post.create).to.have.been.calledWith({ title: 'Hello', userId: 1, slug: 'hello' });
+		});
+	});
+});
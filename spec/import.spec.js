@@ -0,0 +1,203 @@
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const MockModel = require('./util/mockModel');
+const ParkesController = require('../index.js');
+const { importFormat, parseCsv, parseImport } = require('../lib/import');
+const { mockKoaContext } = require('./util/mockKoa');
+
+chai.use(chaiAsPromised);
+chai.use(sinonChai);
+
+const { expect } = chai;
+
+const Supporter = {
+	name: 'Supporter',
+	rawAttributes: {
+		id: {}, name: {}, email: {}, age: { type: { key: 'INTEGER' } },
+	},
+};
+
+describe('import', () => {
+	describe('parseCsv', () => {
+		it('parses quoted cells', () => {
+			expect(parseCsv('a,b\r\n"1, 2","say ""hi""\nthere"\n3,\n'))
+				.to.deep.eq([['a', 'b'], ['1, 2', 'say "hi"\nthere'], ['3', '']]);
+		});
+
+		it('ignores a byte order mark', () => {
+			expect(parseCsv('\uFEFFname\nAda')).to.deep.eq([['name'], ['Ada']]);
+		});
+	});
+
+	describe('importFormat', () => {
+		it('uses ?format= or the content type', () => {
+			expect(importFormat(mockKoaContext({ query: { format: 'ndjson' } }))).to.eq('ndjson');
+			expect(importFormat(mockKoaContext({ request: { type: 'text/csv; charset=utf-8' } }))).to.eq('csv');
+		});
+
+		it('rejects other types', () => {
+			expect(() => importFormat(mockKoaContext({ request: { type: 'application/json' } })))
+				.to.throw('Imports must be text/csv or application/x-ndjson');
+		});
+	});
+
+	describe('parseImport', () => {
+		it('maps columns to attributes', () => {
+			const text = 'Full Name,Email,Age,Notes\nAda,ada@example.com,36,x\nGrace,,,\n';
+			const columns = { 'Full Name': 'name', Email: 'email', Age: 'age' };
+
+			expect(parseImport(text, 'csv', Supporter, columns)).to.deep.eq([
+				{ row: 2, data: { name: 'Ada', email: 'ada@example.com', age: 36 } },
+				{ row: 3, data: { name: 'Grace' } },
+			]);
+		});
+
+		it('uses columns named after attributes without a mapping', () => {
+			const [record] = parseImport('name,address.city,notes\nAda,London,x\n', 'csv', Supporter);
+			expect(record.data).to.deep.eq({ name: 'Ada' });
+		});
+
+		it('sets nested attributes that are mapped', () => {
+			const [record] = parseImport('name,City\nAda,London\n', 'csv', Supporter, { name: 'name', City: 'address.city' });
+			expect(record.data).to.deep.eq({ name: 'Ada', address: { city: 'London' } });
+		});
+
+		it('does not set values on the prototype', () => {
+			const text = 'name,__proto__.isAdmin,constructor.prototype.isAdmin\nbob,true,true\n';
+			parseImport(text, 'csv', Supporter);
+			const [record] = parseImport(text, 'csv', Supporter, column => column);
+
+			expect({}.isAdmin).to.eq(undefined);
+			expect(record.error.message).to.eq('__proto__.isAdmin can not be imported');
+		});
+
+		it('records values that do not match the attribute type', () => {
+			const [record] = parseImport('name,age\nAda,old\n', 'csv', Supporter);
+			expect(record.row).to.eq(2);
+			expect(record.error.message).to.eq('age must be a number');
+		});
+
+		it('parses NDJSON by line', () => {
+			const text = '{"name":"Ada"}\n\nnot json\n';
+			const [ada, invalid] = parseImport(text, 'ndjson', Supporter);
+
+			expect(ada).to.deep.eq({ row: 1, data: { name: 'Ada' } });
+			expect(invalid.row).to.eq(3);
+			expect(invalid.error.message).to.eq('Line 3 is not a JSON object');
+		});
+	});
+
+	describe('ParkesController#import', () => {
+		const authorize = sinon.spy();
+		let models;
+
+		function controller(options) {
+			return new ParkesController('supporter', Object.assign({ models, authorize }, options));
+		}
+
+		function context(body, query = {}) {
+			return mockKoaContext({
+				query, params: {}, state: {}, request: { type: 'text/csv', body }, get: () => '',
+			});
+		}
+
+		beforeEach(() => {
+			authorize.reset();
+			models = { Supporter: MockModel('Supporter', {}) };
+			models.Supporter.rawAttributes = Supporter.rawAttributes;
+			models.Supporter.create = sinon.spy(async data => Object.assign({ uuid: 'new' }, data));
+			models.Supporter.build = sinon.spy(data => Object.assign({ validate: async () => {} }, data));
+			models.Supporter.findOne = sinon.spy(async () => null);
+		});
+
+		it('creates records and reports rows that fail', async () => {
+			const ctx = context('name,email,id\nAda,ada@example.com,\nGrace,grace@example.com,5\n');
+			await controller().import(ctx, async () => {});
+
+			expect(models.Supporter.create).to.have.callCount(1);
+			expect(models.Supporter.create).to.have.been.calledWith({ name: 'Ada', email: 'ada@example.com' });
+			expect(ctx.state.data.collection).to.have.length(1);
+			const { report } = ctx.state.data;
+			expect(report).to.include({
+				dryRun: false, created: 1, updated: 0, failed: 1,
+			});
+			expect(report.errors).to.have.length(1);
+			expect(report.errors[0]).to.include({ row: 3, status: 400 });
+			expect(report.errors[0].errors[0]).to.include({
+				code: 'restricted field', message: 'You may not update the fields: id',
+			});
+			expect(authorize).to.have.been.calledWith(ctx, sinon.match({
+				action: 'create', postBody: { data: { name: 'Ada', email: 'ada@example.com' } },
+			}));
+		});
+
+		it('runs beforeCreate for each record', async () => {
+			const supporters = controller();
+			supporters.beforeCreate = sinon.spy();
+			await supporters.import(context('name\nAda\nGrace\n'), async () => {});
+
+			expect(supporters.beforeCreate).to.have.callCount(2);
+		});
+
+		it('validates without saving in a dry run', async () => {
+			const ctx = context('name\nAda\n', { dryRun: 'true' });
+			await controller().import(ctx, async () => {});
+
+			expect(models.Supporter.build).to.have.been.calledWith({ name: 'Ada' });
+			expect(models.Supporter.create).to.have.callCount(0);
+			expect(ctx.state.data.collection).to.deep.eq([]);
+			expect(ctx.state.data.report).to.include({ dryRun: true, created: 1, failed: 0 });
+		});
+
+		it('rolls back each record of a dry run', async () => {
+			const transaction = {
+				commit: sinon.spy(async () => {}),
+				rollback: sinon.spy(async () => {}),
+			};
+			models.Supporter.sequelize.transaction = async () => transaction;
+			const supporters = controller();
+			supporters.beforeCreate = sinon.spy(async (hookCtx) => {
+				expect(hookCtx.state.transaction).to.eq(transaction);
+			});
+
+			const ctx = context('name\nAda\nGrace\n', { dryRun: '1' });
+			await supporters.import(ctx, async () => {});
+
+			expect(supporters.beforeCreate).to.have.callCount(2);
+			expect(transaction.rollback).to.have.callCount(2);
+			expect(transaction.commit).to.have.callCount(0);
+			expect(ctx.state.transaction).to.eq(undefined);
+			expect(ctx.state.data.report).to.include({ dryRun: true, created: 2, failed: 0 });
+		});
+
+		it('updates records that match the import key', async () => {
+			const existing = { uuid: 'ada', update: sinon.spy(async () => {}), get: () => ({}) };
+			models.Supporter.findOne = sinon.spy(async ({ where }) => (where.email === 'ada@example.com' ? existing : null));
+
+			const ctx = context('email,name\nada@example.com,Ada L\ngrace@example.com,Grace\n');
+			await controller({ importKey: 'email' }).import(ctx, async () => {});
+
+			expect(existing.update).to.have.been.calledWith({ name: 'Ada L' });
+			expect(authorize).to.have.been.calledWith(ctx, sinon.match({ action: 'update', model: existing }));
+			expect(ctx.state.data.report).to.include({ created: 1, updated: 1, failed: 0 });
+		});
+
+		it('refuses import keys that are not strings or numbers', async () => {
+			const ctx = context('{"email":{"$ne":null},"name":"Ada"}\n');
+			ctx.request.type = 'application/x-ndjson';
+			await controller({ importKey: 'email' }).import(ctx, async () => {});
+
+			expect(models.Supporter.findOne).to.have.callCount(0);
+			expect(ctx.state.data.report).to.include({ created: 0, updated: 0, failed: 1 });
+			expect(ctx.state.data.report.errors[0]).to.include({ row: 1, status: 400 });
+		});
+
+		it('limits the number of records', async () => {
+			const ctx = context('name\nAda\nGrace\n');
+			await expect(controller({ maxImportLength: 1 }).import(ctx, async () => {}))
+				.to.be.rejectedWith('An import may not contain more than 1 records');
+		});
+	});
+});
@@ -0,0 +1,135 @@
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const MockModel = require('./util/mockModel');
+const ParkesController = require('../index.js');
+const { requestedIncludes, mergeRequestedIncludes } = require('../lib/include');
+const { mockKoaContext } = require('./util/mockKoa');
+
+chai.use(chaiAsPromised);
+chai.use(sinonChai);
+
+const { expect } = chai;
+
+const Profile = { name: 'Profile' };
+const User = { name: 'User', associations: { profile: { target: Profile, as: 'profile' } } };
+const Comment = { name: 'Comment' };
+const Post = {
+	name: 'Post',
+	associations: {
+		author: { target: User, as: 'author' },
+		comments: { target: Comment, as: 'comments' },
+	},
+};
+
+const options = {
+	includable: {
+		comments: true,
+		author: { attributes: ['name'] },
+		'author.profile': true,
+	},
+	maxIncludeDepth: 2,
+};
+
+function resolve(include, opts) {
+	const ctx = mockKoaContext({ query: { include } });
+	return requestedIncludes(ctx, Post, Object.assign({}, options, opts));
+}
+
+describe('include', () => {
+	describe('requestedIncludes', () => {
+		it('returns nothing without ?include=', () => {
+			expect(resolve(undefined)).to.deep.eq([]);
+		});
+
+		it('resolves nested includes, parents first', () => {
+			expect(resolve('author.profile,comments')).to.deep.eq([
+				{
+					path: 'author', model: User, as: 'author', options: { attributes: ['name'] },
+				},
+				{
+					path: 'comments', model: Comment, as: 'comments', options: {},
+				},
+				{
+					path: 'author.profile', model: Profile, as: 'profile', options: {},
+				},
+			]);
+		});
+
+		it('accepts an array of includable paths', () => {
+			expect(resolve('comments', { includable: ['comments'] })).to.have.length(1);
+		});
+
+		it('rejects associations that are not includable', () => {
+			expect(() => resolve('author.profile', { includable: ['author.profile'] }))
+				.to.throw('You cannot include author');
+		});
+
+		it('rejects unknown associations', () => {
+			expect(() => resolve('likes')).to.throw('Post has no association likes');
+		});
+
+		it('rejects names inherited from Object', () => {
+			expect(() => resolve('constructor')).to.throw('Post has no association constructor');
+			const Tag = { name: 'Tag', associations: { constructor: { target: Comment, as: 'constructor' } } };
+			const ctx = mockKoaContext({ query: { include: 'constructor' } });
+			expect(() => requestedIncludes(ctx, Tag, options)).to.throw('You cannot include constructor');
+		});
+
+		it('limits the depth of includes', () => {
+			expect(() => resolve('author.profile', { maxIncludeDepth: 1 }))
+				.to.throw('includes may only be nested 1 deep');
+		});
+	});
+
+	describe('mergeRequestedIncludes', () => {
+		it('nests includes', () => {
+			const requested = resolve('author.profile');
+			expect(mergeRequestedIncludes([], requested)).to.deep.eq([{
+				model: User,
+				as: 'author',
+				attributes: ['name'],
+				include: [{ model: Profile, as: 'profile' }],
+			}]);
+		});
+	});
+
+	describe('ParkesController', () => {
+		const record = { id: 1, name: 'Harvey Milk' };
+		let authorize;
+		let controller;
+
+		beforeEach(() => {
+			authorize = sinon.spy();
+			const PostModel = Object.assign(MockModel('Post', record), { associations: Post.associations });
+			controller = new ParkesController('post', {
+				models: { Post: PostModel },
+				authorize,
+				includable: ['comments'],
+			});
+		});
+
+		it('authorizes viewing each included model', async () => {
+			const ctx = mockKoaContext({ query: { include: 'comments' }, state: {} });
+			await controller.show(ctx);
+
+			expect(authorize).to.have.been.calledWith(ctx, sinon.match({
+				model: Comment, action: 'view', include: 'comments',
+			}));
+		});
+
+		it('rejects includes that are not allowed', async () => {
+			const ctx = mockKoaContext({ query: { include: 'author' }, state: {} });
+			await expect(controller.show(ctx)).to.be.rejectedWith('You cannot include author');
+		});
+
+		it('rejects ?include=constructor with a 400 before authorizing', async () => {
+			const ctx = mockKoaContext({ query: { include: 'constructor' }, state: {} });
+			const error = await expect(controller.show(ctx)).to.be.rejectedWith('Post has no association constructor');
+
+			expect(error.status).to.eq(400);
+			expect(authorize).to.have.callCount(0);
+		});
+	});
+});
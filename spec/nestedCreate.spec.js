@@ -0,0 +1,81 @@
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const MockModel = require('./util/mockModel');
+const ParkesController = require('../index.js');
+const { mockKoaContext } = require('./util/mockKoa');
+
+chai.use(chaiAsPromised);
+chai.use(sinonChai);
+
+const { expect } = chai;
+
+const user = { id: 4, uuid: 'user-4' };
+
+function mockModels() {
+	const User = MockModel('User', user);
+	User.findOne = async ({ where }) => (where.uuid === user.uuid ? user : null);
+	const Post = MockModel('Post', { id: 1, userId: 4 });
+
+	return { User, Post };
+}
+
+function context(data, params) {
+	return mockKoaContext({
+		request: { body: { data } }, params, state: {}, get: () => '',
+	});
+}
+
+describe('nested create', () => {
+	const authorize = sinon.spy();
+	const models = mockModels();
+	const create = sinon.spy(models.Post, 'create');
+	const controller = new ParkesController('post', { models, authorize, scopeModels: ['user'] });
+	const next = async () => {};
+
+	afterEach(() => {
+		authorize.reset();
+		create.reset();
+	});
+
+	it('binds the parent from the route and passes it to authorize', async () => {
+		const ctx = context({ title: 'Hello' }, { user: 'user-4' });
+		await controller.create(ctx, next);
+
+		expect(authorize).to.have.been.calledWith(ctx, sinon.match({
+			action: 'create', model: models.Post, parent: user,
+		}));
+		expect(create).to.have.been.calledWith({ title: 'Hello', userId: 4 });
+	});
+
+	it('accepts a body that names the same parent', async () => {
+		await controller.create(context({ title: 'Hello', userUuid: 'user-4' }, { user: 'user-4' }), next);
+		expect(create).to.have.been.calledWith({ title: 'Hello', userId: 4 });
+	});
+
+	it('rejects a body that names a different parent', async () => {
+		const ctx = context({ title: 'Hello', userUuid: 'user-5' }, { user: 'user-4' });
+		const error = await expect(controller.create(ctx, next))
+			.to.be.rejectedWith('The user in the body does not match the user in the URL');
+
+		expect(error).to.have.property('status', 400);
+		expect(create).to.have.callCount(0);
+	});
+
+	it('gives a 404 if the parent does not exist', async () => {
+		const error = await expect(controller.create(context({ title: 'Hello' }, { user: 'user-5' }), next))
+			.to.be.rejectedWith('User with uuid user-5 could not be found');
+
+		expect(error).to.have.property('status', 404);
+	});
+
+	it('does not use the query to find the parent', async () => {
+		const ctx = context({ title: 'Hello' }, {});
+		ctx.query = { user: 'user-4' };
+		await controller.create(ctx, next);
+
+		expect(create).to.have.been.calledWith({ title: 'Hello' });
+		expect(authorize).to.have.been.calledWith(ctx, sinon.match({ parent: undefined }));
+	});
+});
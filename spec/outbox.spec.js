@@ -0,0 +1,192 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const ParkesController = require('../index.js');
+const RestHandler = require('../lib/restHandler');
+const { OutboxDispatcher } = require('../lib/outbox');
+const { mockKoaContext } = require('./util/mockKoa');
+const { mockUserModels, mockUserRecord } = require('./util/mockUser');
+
+chai.use(sinonChai);
+
+const { expect } = chai;
+
+function mockEntry(resource, attempts = 0, id = 1, resourceId = 'a') {
+	const entry = {
+		id, resource, resourceId, attempts,
+	};
+	entry.update = sinon.spy(async (data) => { Object.assign(entry, data); });
+	return entry;
+}
+
+describe('outbox', () => {
+	describe('RestHandler with options.outbox', () => {
+		it('writes changes to the outbox in the transaction', async () => {
+			const models = mockUserModels('Outbox');
+			const outboxCreate = sinon.spy(models.Outbox, 'create');
+			const rest = new RestHandler('user', { models, outbox: true });
+			const ctx = mockKoaContext({
+				request: { body: { data: { name: 'Grace' } } }, state: { transaction: 'transaction' },
+			});
+
+			await rest.update(ctx, mockUserRecord());
+
+			expect(outboxCreate).to.have.been.calledWith(sinon.match({
+				action: 'update',
+				resource: 'User',
+				resourceId: 'user-1',
+				payload: {
+					values: { id: 1, uuid: 'user-1', name: 'Grace' },
+					previous: { name: 'Ada' },
+				},
+				status: 'pending',
+				attempts: 0,
+			}), { transaction: 'transaction' });
+		});
+
+		it('only writes the configured actions', async () => {
+			const models = mockUserModels('Outbox');
+			const outboxCreate = sinon.spy(models.Outbox, 'create');
+			const rest = new RestHandler('user', { models, outbox: { actions: ['create'] } });
+
+			await rest.destroy(mockKoaContext({ state: {} }), mockUserRecord());
+			expect(outboxCreate).to.have.callCount(0);
+		});
+	});
+
+	describe('ParkesController with options.outbox', () => {
+		it('runs writes in a transaction', async () => {
+			const models = mockUserModels('Outbox');
+			const transaction = { commit: sinon.spy(async () => {}), rollback: async () => {} };
+			models.User.sequelize.transaction = async () => transaction;
+			const outboxCreate = sinon.spy(models.Outbox, 'create');
+			const controller = new ParkesController('user', { models, authorize: false, outbox: true });
+			const ctx = mockKoaContext({
+				request: { body: { data: { name: 'Ada' } } }, state: {}, get: () => '',
+			});
+
+			await controller.create(ctx, async () => {});
+
+			expect(outboxCreate).to.have.been.calledWith(sinon.match.any, { transaction });
+			expect(transaction.commit).to.have.callCount(1);
+		});
+	});
+
+	describe('OutboxDispatcher', () => {
+		let entries;
+		let waiting;
+		let model;
+		let dispatcher;
+		const now = new Date('2020-01-01T00:00:00Z');
+		let clock;
+
+		beforeEach(() => {
+			clock = sinon.useFakeTimers(now.getTime());
+			entries = [];
+			waiting = [];
+			model = {
+				// Entries to deliver, or the records with entries waiting for a retry
+				findAll: async ({ attributes }) => (attributes ? waiting : entries),
+				update: sinon.spy(async (values, { where }) => {
+					const claimed = entries.some(e => e.id === where.id && e.attempts === where.attempts);
+					return [claimed ? 1 : 0];
+				}),
+			};
+			dispatcher = new OutboxDispatcher(model, { maxAttempts: 3 });
+		});
+
+		afterEach(() => {
+			dispatcher.stop();
+			clock.restore();
+		});
+
+		it('delivers entries to the handlers for their resource', async () => {
+			const user = sinon.spy(async () => {});
+			const post = sinon.spy(async () => {});
+			const all = sinon.spy(async () => {});
+			dispatcher.handle('User', user).handle('Post', post).handle('*', all);
+			entries = [mockEntry('User')];
+
+			expect(await dispatcher.dispatch()).to.eq(1);
+			expect(user).to.have.been.calledWith(entries[0]);
+			expect(all).to.have.been.calledWith(entries[0]);
+			expect(post).to.have.callCount(0);
+			expect(entries[0]).to.include({ status: 'delivered', attempts: 1 });
+			expect(model.update).to.have.been.calledWith(
+				{ attempts: 1, availableAt: new Date(now.getTime() + (5 * 60 * 1000)) },
+				{ where: { id: 1, status: 'pending', attempts: 0 } },
+			);
+		});
+
+		it('skips entries that another dispatcher claimed', async () => {
+			const handler = sinon.spy(async () => {});
+			dispatcher.handle('User', handler);
+			entries = [mockEntry('User', 0, 1), mockEntry('User', 0, 2)];
+			model.update = async () => [0];
+
+			expect(await dispatcher.dispatch()).to.eq(0);
+			expect(handler).to.have.callCount(0);
+		});
+
+		it('holds back the later entries of a record until an earlier one is delivered', async () => {
+			const handler = sinon.spy(async (entry) => {
+				if (entry.id === 1) throw new Error('Search is down');
+			});
+			dispatcher.handle('User', handler);
+			waiting = [{ resource: 'User', resourceId: 'c' }];
+			entries = [
+				mockEntry('User', 0, 1, 'a'),
+				mockEntry('User', 0, 2, 'a'),
+				mockEntry('User', 0, 3, 'b'),
+				mockEntry('User', 0, 4, 'c'),
+			];
+
+			expect(await dispatcher.dispatch()).to.eq(1);
+			expect(handler).to.have.callCount(2);
+			expect(handler).to.have.been.calledWith(entries[2]);
+			expect(entries[1]).to.include({ attempts: 0 });
+			expect(entries[3]).to.include({ attempts: 0 });
+		});
+
+		it('retries failed deliveries after a backoff', async () => {
+			const failed = sinon.spy();
+			dispatcher.on('failed', failed);
+			dispatcher.handle('User', async () => { throw new Error('Search is down'); });
+			entries = [mockEntry('User', 1)];
+
+			expect(await dispatcher.dispatch()).to.eq(0);
+			expect(entries[0]).to.include({ status: 'pending', attempts: 2, lastError: 'Search is down' });
+			expect(entries[0].availableAt.getTime()).to.eq(now.getTime() + 4000);
+			expect(failed).to.have.been.calledWith(entries[0], sinon.match.instanceOf(Error));
+		});
+
+		it('marks entries failed after the last attempt', async () => {
+			dispatcher.handle('User', async () => { throw new Error('Search is down'); });
+			entries = [mockEntry('User', 2)];
+
+			await dispatcher.dispatch();
+			expect(entries[0]).to.include({ status: 'failed', attempts: 3 });
+		});
+	});
+
+	it('exports OutboxDispatcher from the package', () => {
+		expect(ParkesController.OutboxDispatcher).to.eq(OutboxDispatcher);
+	});
+
+	describe('OutboxDispatcher#start', () => {
+		it('polls until stopped', async () => {
+			const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+			const model = { findAll: sinon.spy(async () => []) };
+			const dispatcher = new OutboxDispatcher(model, { interval: 1 });
+
+			dispatcher.start();
+			await wait(20);
+			dispatcher.stop();
+			const polls = dispatcher.model.findAll.callCount;
+			await wait(20);
+
+			expect(polls).to.be.above(1);
+			expect(dispatcher.model.findAll).to.have.callCount(polls);
+		});
+	});
+});
@@ -0,0 +1,175 @@
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const { Op } = require('sequelize');
+const {
+	paginate, formatPaginate, encodeCursor, decodeCursor, keysetOrder, keysetWhere,
+} = require('../lib/pagination');
+const { mockKoaContext } = require('./util/mockKoa');
+
+chai.use(chaiAsPromised);
+
+const { expect } = chai;
+
+const rows = [1, 2, 3, 4, 5].map(id => ({ id, name: `User ${id}` }));
+
+function cursorModel() {
+	const model = {
+		primaryKeyAttribute: 'id',
+		findAll: async (q) => {
+			model.lastQuery = q;
+			const sorted = rows.slice();
+			if (q.order[0][1] === 'DESC') sorted.reverse();
+			return sorted.slice(0, q.limit);
+		},
+		count: async () => rows.length,
+	};
+	return model;
+}
+
+function cursorContext(query) {
+	return mockKoaContext({ query, href: 'http://localhost/users' });
+}
+
+describe('pagination', () => {
+	describe('keysetOrder', () => {
+		it('appends the primary key', () => {
+			expect(keysetOrder([['createdAt', 'desc']], 'id'))
+				.to.deep.eq([['createdAt', 'DESC'], ['id', 'DESC']]);
+		});
+
+		it('does not repeat the primary key', () => {
+			expect(keysetOrder([['id', 'ASC']], 'id')).to.deep.eq([['id', 'ASC']]);
+		});
+	});
+
+	describe('keysetWhere', () => {
+		const notNull = ['name', 'id'];
+
+		it('selects rows after the values', () => {
+			const [after, tied] = keysetWhere([['name', 'ASC'], ['id', 'DESC']], ['Harvey', 3], { notNull })[Op.or];
+
+			expect(after.name[Op.gt]).to.eq('Harvey');
+			expect(tied.name[Op.eq]).to.eq('Harvey');
+			expect(tied.id[Op.lt]).to.eq(3);
+		});
+
+		it('selects NULLs after values when they sort last', () => {
+			const [after] = keysetWhere([['name', 'ASC'], ['id', 'ASC']], ['Harvey', 3], { notNull: ['id'] })[Op.or];
+			expect(after.name[Op.or]).to.include({ [Op.gt]: 'Harvey', [Op.eq]: null });
+			expect(Reflect.ownKeys(after.name[Op.or])).to.have.length(2);
+		});
+
+		it('selects values after NULL when NULLs sort first', () => {
+			const order = [['name', 'DESC'], ['id', 'DESC']];
+			const [after, tied] = keysetWhere(order, [null, 3], { notNull: ['id'] })[Op.or];
+
+			expect(Reflect.ownKeys(after.name)).to.deep.eq([Op.ne]);
+			expect(after.name[Op.ne]).to.eq(null);
+			expect(tied.name[Op.eq]).to.eq(null);
+			expect(tied.id[Op.lt]).to.eq(3);
+		});
+
+		it('only selects ties after NULL when NULLs sort last', () => {
+			const conditions = keysetWhere([['name', 'ASC'], ['id', 'ASC']], [null, 3], { notNull: ['id'] })[Op.or];
+
+			expect(conditions).to.have.length(1);
+			expect(conditions[0].name[Op.eq]).to.eq(null);
+			expect(conditions[0].id[Op.gt]).to.eq(3);
+		});
+
+		it('places NULLs for the dialect', () => {
+			const order = [['name', 'ASC'], ['id', 'ASC']];
+			const [after] = keysetWhere(order, [null, 3], { dialect: 'mysql', notNull: ['id'] })[Op.or];
+			expect(after.name[Op.ne]).to.eq(null);
+		});
+	});
+
+	describe('cursors', () => {
+		const order = [['name', 'ASC'], ['id', 'ASC']];
+
+		it('round trips', () => {
+			const token = encodeCursor(rows[1], order);
+			expect(decodeCursor(token, order)).to.deep.eq(['User 2', 2]);
+		});
+
+		it('rejects a cursor for another order', () => {
+			const token = encodeCursor(rows[1], order);
+			expect(() => decodeCursor(token, [['id', 'ASC']])).to.throw('pagination cursor is not valid');
+		});
+
+		it('rejects garbage', () => {
+			expect(() => decodeCursor('not a cursor', order)).to.throw('pagination cursor is not valid');
+		});
+
+		it('rejects values that are not scalars', () => {
+			const token = Buffer.from(JSON.stringify({
+				o: 'name:ASC,id:ASC', v: [{ $ne: null }, 1],
+			})).toString('base64');
+			expect(() => decodeCursor(token, order)).to.throw('pagination cursor is not valid');
+		});
+
+		it('accepts NULL values', () => {
+			const token = encodeCursor({ name: null, id: 2 }, order);
+			expect(decodeCursor(token, order)).to.deep.eq([null, 2]);
+		});
+	});
+
+	describe('paginate in cursor mode', () => {
+		const options = { pagination: 'cursor', defaultPageLength: 2 };
+
+		it('returns a next url with a cursor on the first page', async () => {
+			const model = cursorModel();
+			const result = await paginate(cursorContext({}), [], {}, {}, model, options);
+
+			expect(result.collection.map(r => r.id)).to.deep.eq([5, 4]);
+			expect(result.pagination.prevUrl).to.eq(false);
+			expect(result.pagination.nextUrl).to.match(/^http:\/\/localhost\/users\?limit=2&cursor=/);
+			expect(result.pagination).to.not.have.property('total');
+		});
+
+		it('filters by the cursor', async () => {
+			const model = cursorModel();
+			const cursor = encodeCursor(rows[3], [['id', 'DESC']]);
+			const result = await paginate(cursorContext({ cursor }), [], {}, {}, model, options);
+
+			expect(model.lastQuery.where[Op.and]).to.deep.eq([{ [Op.or]: [{ id: { [Op.lt]: 4 } }] }]);
+			expect(result.pagination.prevUrl).to.match(/before=/);
+		});
+
+		it('counts when paginationCount is set', async () => {
+			const model = cursorModel();
+			const opts = Object.assign({ paginationCount: true }, options);
+			const result = await paginate(cursorContext({}), [], {}, {}, model, opts);
+
+			expect(result.pagination).to.include({ total: 5, pages: 3 });
+		});
+
+		it('uses offset pagination if an offset is requested', async () => {
+			const model = {
+				findAndCountAll: async () => ({ count: 5, rows: rows.slice(2, 4) }),
+			};
+			const result = await paginate(cursorContext({ offset: '2' }), [], {}, {}, model, options);
+
+			expect(result.pagination).to.include({ offset: 2, total: 5 });
+		});
+	});
+
+	describe('formatPaginate', () => {
+		it('builds offset urls', () => {
+			const result = formatPaginate([], 10, 2, null, null, 2, '/users', {});
+			expect(result.pagination).to.include({
+				prevUrl: '/users?limit=2&offset=0',
+				nextUrl: '/users?limit=2&offset=4',
+			});
+		});
+
+		it('builds cursor urls', () => {
+			const cursors = { next: 'abc', prev: 'xyz' };
+			const result = formatPaginate([], undefined, 2, null, null, 0, '/users', { cursor: 'old' }, cursors);
+			expect(result.pagination).to.include({
+				prevUrl: '/users?limit=2&before=xyz',
+				nextUrl: '/users?limit=2&cursor=abc',
+			});
+		});
+	});
+});
@@ -3,6 +3,7 @@ const sinon = require('sinon');
 const MockModel = require('./util/mockModel');
 const ParkesController = require('../index.js');
 const ParkesRouter = require('parkes-router');
+const { presentArray } = require('parkes-router/lib/presenter');
 const Koa = require('koa');
 const chai = require('chai');
 const chaiSubset = require('chai-subset');
@@ -171,6 +172,92 @@ describe('ParkesController', () => {
 				itCallsBeforeAndAfterHooks('destroy', { before: [dummyRecord], after: [dummyRecord] });
 			},
 		},
+
+		{
+			note: 'bulk create',
+			method: 'POST',
+			path: '/bulk',
+			body: [dummyPost, dummyPost],
+			_expect: {
+				data: [dummyRecord, dummyRecord],
+				results: [{ index: 0, success: true }, { index: 1, success: true }],
+			},
+			describe: () => {
+				prepareRequest(dummyPost);
+				itAuthorizesAgainstModel('create');
+				itCallsBeforeAndAfterHooks('create', { before: [dummyPost], after: [dummyRecord] });
+			},
+		},
+
+		{
+			note: 'bulk create with restricted keys',
+			method: 'POST',
+			path: '/bulk',
+			body: [dummyPost, restrictedKeys],
+			_expect: {
+				data: [dummyRecord],
+				results: [
+					{ index: 0, success: true },
+					{
+						index: 1, success: false, status: 400, errors: [{ code: 'restricted field' }],
+					},
+				],
+			},
+		},
+
+		{
+			note: 'atomic bulk create with restricted keys',
+			method: 'POST',
+			path: '/bulk',
+			_body: { data: [dummyPost, restrictedKeys], atomic: true },
+			status: 400,
+			expect: 'Record 1: You may not update the fields: id, uuid',
+		},
+
+		{
+			note: 'bulk update',
+			method: 'PATCH',
+			body: [Object.assign({ uuid: '1' }, dummyPost)],
+			__expect: { data: [dummyRecord], results: [{ index: 0, success: true }] },
+			describe: () => {
+				prepareRequest(dummyPost);
+				itAuthorizesAgainstRecord('update');
+				itCallsBeforeAndAfterHooks('update', { before: [dummyRecord, dummyPost], after: [dummyRecord] });
+			},
+		},
+
+		{
+			note: 'bulk update without resource id',
+			method: 'PATCH',
+			body: [dummyPost],
+			__expect: { results: [{ index: 0, success: false, status: 400 }] },
+		},
+
+		{
+			note: 'bulk destroy',
+			method: 'DELETE',
+			path: '?ids=1,2',
+			__expect: { data: [dummyRecord, dummyRecord] },
+			describe: () => {
+				itAuthorizesAgainstRecord('destroy');
+				itCallsBeforeAndAfterHooks('destroy', { before: [dummyRecord], after: [dummyRecord] });
+			},
+		},
+
+		{
+			note: 'bulk create from ?ids=',
+			method: 'POST',
+			path: '/bulk?ids=1,2',
+			status: 400,
+			expect: 'The data attribute in the body must be a non-empty array',
+		},
+
+		{
+			note: 'bulk update with an object as resource id',
+			method: 'PATCH',
+			body: [Object.assign({ uuid: { $ne: null } }, dummyPost)],
+			__expect: { results: [{ index: 0, success: false, status: 400 }] },
+		},
 	]);
 
 	// TODO honours id column
@@ -230,6 +317,9 @@ describe('ParkesController', () => {
 	function startServer(controller) {
 		const api = new ParkesRouter();
 		api
+			.post('/users/bulk', controller.bulkCreate.bind(controller), presentArray)
+			.patch('/users', controller.bulkUpdate.bind(controller), presentArray)
+			.delete('/users', controller.bulkDestroy.bind(controller), presentArray)
 			.resource('user', controller);
 
 		const app = new Koa();
@@ -251,6 +341,85 @@ describe('ParkesController', () => {
 	}
 });
 
+describe('ParkesController with options.transaction', () => {
+	const transactionSandbox = sinon.createSandbox();
+	let controller;
+	let transaction;
+	let ctx;
+
+	beforeEach(() => {
+		transaction = { commit: transactionSandbox.spy(), rollback: transactionSandbox.spy() };
+		const User = MockModel('User', dummyRecord);
+		User.sequelize.transaction = async () => transaction;
+
+		controller = new UserController('user', {
+			models: { User },
+			authorize: false,
+			transaction: true,
+		});
+		ctx = mockKoaContext({
+			request: { body: { data: dummyPost } },
+			state: {},
+			get: () => '',
+		});
+	});
+
+	afterEach(() => {
+		transactionSandbox.restore();
+	});
+
+	it('exposes the transaction to hooks and commits after them', async () => {
+		let hookTransaction;
+		controller.afterCreate = async (hookCtx) => {
+			hookTransaction = hookCtx.state.transaction;
+			expect(transaction.commit).to.have.callCount(0);
+		};
+
+		await controller.create(ctx, noop);
+
+		expect(hookTransaction).to.eq(transaction);
+		expect(transaction.commit).to.have.callCount(1);
+		expect(ctx.state.transaction).to.eq(undefined);
+	});
+
+	it('rolls back when an after hook throws', async () => {
+		controller.afterCreate = async () => { throw new Error('hook failed'); };
+
+		await expect(controller.create(ctx, noop)).to.be.rejectedWith('hook failed');
+
+		expect(transaction.rollback).to.have.callCount(1);
+		expect(transaction.commit).to.have.callCount(0);
+	});
+
+	it('passes the transaction to find', async () => {
+		const findOne = transactionSandbox.spy(controller.rest.modelClass, 'findOne');
+
+		await controller.update(ctx, noop);
+
+		expect(findOne).to.have.been.calledWith(sinon.match({ transaction }));
+	});
+});
+
+describe('ParkesController bulk destroy', () => {
+	it('refuses resource ids that are not strings or numbers', async () => {
+		const User = MockModel('User', dummyRecord);
+		const findOne = sinon.spy(User, 'findOne');
+		const controller = new UserController('user', { models: { User }, authorize: false });
+		const ctx = mockKoaContext({
+			request: { body: { data: ['1', { $ne: null }] } },
+			state: {},
+			get: () => '',
+		});
+
+		await controller.bulkDestroy(ctx, noop);
+
+		const [destroyed, refused] = ctx.state.data.results;
+		expect(destroyed.success).to.eq(true);
+		expect(refused).to.include({ success: false, status: 400 });
+		expect(findOne).to.have.callCount(1);
+	});
+});
+
 async function errorHandler(ctx, next) {
 	try {
 		await next();
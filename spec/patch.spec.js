@@ -0,0 +1,103 @@
+const chai = require('chai');
+const MockModel = require('./util/mockModel');
+const RestHandler = require('../lib/restHandler');
+const { applyJsonPatch, applyMergePatch } = require('../lib/patch');
+const { mockKoaContext } = require('./util/mockKoa');
+
+const { expect } = chai;
+
+const campaign = {
+	name: 'Marriage Equality',
+	public: { theme: { color: 'red' }, tags: ['equality', 'love'] },
+	password: 'secret',
+};
+
+describe('patch', () => {
+	describe('applyJsonPatch', () => {
+		it('applies operations in order', () => {
+			const { document } = applyJsonPatch(campaign, [
+				{ op: 'replace', path: '/public/theme/color', value: 'rainbow' },
+				{ op: 'add', path: '/public/tags/-', value: 'pride' },
+				{ op: 'remove', path: '/public/tags/0' },
+				{ op: 'copy', from: '/name', path: '/public/title' },
+				{ op: 'test', path: '/public/title', value: 'Marriage Equality' },
+			]);
+
+			expect(document.public).to.deep.eq({
+				theme: { color: 'rainbow' },
+				tags: ['love', 'pride'],
+				title: 'Marriage Equality',
+			});
+			expect(campaign.public.theme.color).to.eq('red');
+		});
+
+		it('returns the paths that were touched', () => {
+			const { paths } = applyJsonPatch(campaign, [{ op: 'move', from: '/password', path: '/name' }]);
+			expect(paths).to.deep.eq([['name'], ['password']]);
+		});
+
+		it('names the operation that failed a test', () => {
+			const patch = [
+				{ op: 'replace', path: '/name', value: 'Equality' },
+				{ op: 'test', path: '/public/theme/color', value: 'blue' },
+			];
+			expect(() => applyJsonPatch(campaign, patch))
+				.to.throw('Operation 1 (test /public/theme/color) failed, the value did not match')
+				.with.property('status', 422);
+		});
+
+		it('fails on missing paths', () => {
+			expect(() => applyJsonPatch(campaign, [{ op: 'remove', path: '/public/missing' }]))
+				.to.throw('public/missing does not exist');
+		});
+
+		it('rejects malformed patches', () => {
+			expect(() => applyJsonPatch(campaign, { op: 'add' })).to.throw('must be an array');
+			expect(() => applyJsonPatch(campaign, [{ op: 'delete', path: '/name' }]))
+				.to.throw('Operation 0 (delete /name) is not a valid operation')
+				.with.property('status', 400);
+		});
+	});
+
+	describe('applyMergePatch', () => {
+		it('merges objects and removes nulls', () => {
+			const result = applyMergePatch(campaign.public, { theme: { color: null, font: 'serif' } });
+			expect(result).to.deep.eq({ theme: { font: 'serif' }, tags: ['equality', 'love'] });
+		});
+	});
+
+	describe('RestHandler#updateData', () => {
+		const models = { Campaign: MockModel('Campaign', campaign) };
+		const rest = new RestHandler('campaign', { models });
+
+		function patchContext(type, body) {
+			return mockKoaContext({ request: { type, body } });
+		}
+
+		it('returns the attributes a JSON Patch changes', () => {
+			const ctx = patchContext('application/json-patch+json', [
+				{ op: 'test', path: '/name', value: 'Marriage Equality' },
+				{ op: 'add', path: '/public/theme/font', value: 'serif' },
+			]);
+
+			expect(rest.updateData(ctx, campaign)).to.deep.eq({
+				public: { theme: { color: 'red', font: 'serif' }, tags: ['equality', 'love'] },
+			});
+		});
+
+		it('returns the attributes a merge patch changes', () => {
+			const ctx = patchContext('application/merge-patch+json', { public: { tags: null } });
+
+			expect(rest.updateData(ctx, campaign)).to.deep.eq({ public: { theme: { color: 'red' } } });
+		});
+
+		it('blocks restricted attributes that are read by a patch', () => {
+			const ctx = patchContext('application/json-patch+json', [
+				{ op: 'copy', from: '/password', path: '/name' },
+			]);
+
+			expect(() => rest.updateData(ctx, campaign))
+				.to.throw('You may not update the fields: password');
+		});
+	});
+});
@@ -0,0 +1,120 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const MockModel = require('./util/mockModel');
+const ParkesController = require('../index.js');
+const { readableAttributes, redact } = require('../lib/readable');
+const { mockKoaContext } = require('./util/mockKoa');
+
+chai.use(sinonChai);
+
+const { expect } = chai;
+
+function post() {
+	return {
+		dataValues: {
+			id: 1,
+			title: 'Hello',
+			internal: 'note',
+			public: { theme: 'dark', secret: 'x' },
+			user: { dataValues: { name: 'Ada', email: 'ada@example.com' } },
+			comments: [{ dataValues: { body: 'Hi', ip: '1.2.3.4' } }],
+		},
+	};
+}
+
+describe('readable', () => {
+	describe('readableAttributes', () => {
+		const readable = { public: ['title'], private: ['internal'] };
+
+		it('includes private attributes only when asked', () => {
+			expect(readableAttributes(readable, {}, {}, false)).to.deep.eq(['title']);
+			expect(readableAttributes(readable, {}, {}, true)).to.deep.eq(['title', 'internal']);
+		});
+
+		it('calls a function with the context and record', () => {
+			const record = { id: 1 };
+			const readableFn = sinon.spy(() => ['id']);
+			expect(readableAttributes(readableFn, 'ctx', record, false)).to.deep.eq(['id']);
+			expect(readableFn).to.have.been.calledWith('ctx', record);
+		});
+	});
+
+	describe('redact', () => {
+		it('removes attributes that are not readable, including from associations', () => {
+			const record = redact(post(), ['id', 'title', 'public.theme', 'user.name', 'comments.body']);
+
+			expect(record.dataValues).to.deep.eq({
+				id: 1,
+				title: 'Hello',
+				public: { theme: 'dark' },
+				user: { dataValues: { name: 'Ada' } },
+				comments: [{ dataValues: { body: 'Hi' } }],
+			});
+		});
+
+		it('keeps the whole of a readable association', () => {
+			const record = redact(post(), ['user']);
+			expect(record.dataValues).to.deep.eq({ user: post().dataValues.user });
+		});
+	});
+
+	describe('ParkesController with options.readable', () => {
+		const authorize = sinon.spy();
+		const models = { Post: MockModel('Post', post()) };
+		models.Post.findOne = async () => post();
+		const controller = new ParkesController('post', {
+			models,
+			authorize,
+			readable: { public: ['title'], private: ['internal'] },
+		});
+
+		function context(query) {
+			return mockKoaContext({
+				query, params: { post: 'abc' }, request: {}, state: {}, get: () => '', set: () => {},
+			});
+		}
+
+		afterEach(() => authorize.reset());
+
+		it('redacts the record before the presenter', async () => {
+			const ctx = context({});
+			await controller.show(ctx, async () => {
+				expect(ctx.state.data.dataValues).to.deep.eq({ title: 'Hello' });
+			});
+			expect(authorize).not.to.have.been.calledWith(ctx, sinon.match({ action: 'viewPrivate' }));
+		});
+
+		it('keeps private attributes for authorized private requests', async () => {
+			const ctx = context({ private: '1' });
+			await controller.show(ctx, async () => {
+				expect(ctx.state.data.dataValues).to.deep.eq({ title: 'Hello', internal: 'note' });
+			});
+			expect(authorize).to.have.been.calledWith(ctx, sinon.match({
+				action: 'viewPrivate', model: ctx.state.data,
+			}));
+		});
+
+		it('authorizes private writes before writing', async () => {
+			const update = sinon.spy(async () => {});
+			const writeModels = { Post: MockModel('Post', {}) };
+			writeModels.Post.findOne = async () => Object.assign(post(), { update });
+			const refuse = sinon.spy(async (ctx, { action }) => {
+				if (action === 'viewPrivate') throw new Error('Not allowed');
+			});
+			const writer = new ParkesController('post', {
+				models: writeModels,
+				authorize: refuse,
+				readable: { public: ['title'], private: ['internal'] },
+			});
+			const ctx = context({ private: '1' });
+			ctx.request.body = { data: { title: 'Changed' } };
+
+			let error;
+			await writer.update(ctx, async () => {}).catch((e) => { error = e; });
+
+			expect(error.message).to.eq('Not allowed');
+			expect(update).to.have.callCount(0);
+		});
+	});
+});
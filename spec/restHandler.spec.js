@@ -0,0 +1,157 @@
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const { Op } = require('sequelize');
+const MockModel = require('./util/mockModel');
+const RestHandler = require('../lib/restHandler');
+const ParkesController = require('../index.js');
+const { mockKoaContext } = require('./util/mockKoa');
+
+chai.use(chaiAsPromised);
+chai.use(sinonChai);
+
+const { expect } = chai;
+
+const record = { id: 1, name: 'Harvey Milk' };
+
+describe('RestHandler', () => {
+	describe('complex scopeModels', () => {
+		let models;
+		let scopeModels;
+
+		beforeEach(() => {
+			models = {
+				Post: MockModel('Post', record),
+				User: MockModel('User', record),
+				Organisation: MockModel('Organisation', record),
+			};
+			scopeModels = [{
+				name: 'organisation',
+				include: {
+					model: models.User,
+					as: 'user',
+					include: [{
+						model: models.Organisation,
+						where: { uuid: { $param: 'organisation' }, [Op.not]: { status: 'closed' } },
+						required: true,
+					}],
+				},
+			}];
+		});
+
+		it('replaces $param in nested includes', () => {
+			const rest = new RestHandler('post', { models, scopeModels });
+			const ctx = mockKoaContext({ params: { organisation: 'org-uuid' } });
+
+			const [include] = rest.filterIncludes(ctx);
+
+			expect(include).to.include({ model: models.User, as: 'user', required: true });
+			expect(include.include[0].model).to.eq(models.Organisation);
+			expect(include.include[0].where).to.deep.eq({
+				uuid: 'org-uuid', [Op.not]: { status: 'closed' },
+			});
+			expect(scopeModels[0].include.include[0].where.uuid).to.deep.eq({ $param: 'organisation' });
+		});
+
+		it('does not include the scope without the parameter', () => {
+			const rest = new RestHandler('post', { models, scopeModels });
+			expect(rest.filterIncludes(mockKoaContext())).to.deep.eq([]);
+		});
+
+		it('lists the scope as present', () => {
+			const rest = new RestHandler('post', { models, scopeModels });
+			const ctx = mockKoaContext({ query: { organisation: 'org-uuid' } });
+			expect(rest.scopesPresent(ctx)).to.deep.eq(['organisation']);
+		});
+
+		it('verifies nested includes when the result is empty', async () => {
+			models.Organisation.findOne = sinon.stub().resolves(null);
+			const controller = new ParkesController('post', { models, scopeModels, authorize: false });
+			const ctx = mockKoaContext({ params: { organisation: 'org-uuid' } });
+
+			await expect(controller.verifyIncludes(ctx, controller.rest.filterIncludes(ctx)))
+				.to.be.rejectedWith('Organisation with uuid org-uuid could not be found');
+			expect(models.Organisation.findOne).to.have.been.calledWith(sinon.match({
+				where: { uuid: 'org-uuid' },
+			}));
+		});
+	});
+
+	describe('paranoid models', () => {
+		let Post;
+		let rest;
+
+		beforeEach(() => {
+			Post = Object.assign(MockModel('Post', record), { options: { paranoid: true } });
+			rest = new RestHandler('post', { models: { Post } });
+		});
+
+		it('finds deleted records with ?withDeleted=1', async () => {
+			const findOne = sinon.spy(Post, 'findOne');
+			await rest.show(mockKoaContext({ query: { withDeleted: '1' }, params: { post: 'abc' } }));
+
+			expect(findOne).to.have.been.calledWith(sinon.match({ paranoid: false, where: { uuid: 'abc' } }));
+		});
+
+		it('finds only deleted records with ?onlyDeleted=1', async () => {
+			const findAll = sinon.spy(Post, 'findAndCountAll');
+			const ctx = mockKoaContext({ query: { onlyDeleted: 'true' }, href: '/posts' });
+			await rest.index(ctx);
+
+			const query = findAll.firstCall.args[0];
+			expect(query.paranoid).to.eq(false);
+			expect(query.where[Op.and]).to.deep.include({ deletedAt: { [Op.ne]: null } });
+		});
+
+		it('rejects ?withDeleted for models that are not paranoid', () => {
+			Post.options.paranoid = false;
+			expect(() => rest.deletedScope(mockKoaContext({ query: { withDeleted: '1' } })))
+				.to.throw('Post records are not soft deleted');
+		});
+
+		it('restores deleted records', async () => {
+			const deleted = { uuid: 'abc', deletedAt: new Date(), restore: sinon.stub().resolves() };
+			await rest.restore(mockKoaContext(), deleted);
+
+			expect(deleted.restore).to.have.callCount(1);
+		});
+
+		it('does not restore records that are not deleted', async () => {
+			const live = { uuid: 'abc', deletedAt: null, restore: sinon.stub().resolves() };
+
+			await expect(rest.restore(mockKoaContext(), live))
+				.to.be.rejectedWith('Post with uuid abc has not been deleted');
+		});
+	});
+
+	describe('ParkesController on paranoid models', () => {
+		let authorize;
+		let controller;
+
+		beforeEach(() => {
+			authorize = sinon.spy();
+			const Post = Object.assign(MockModel('Post', record), { options: { paranoid: true } });
+			controller = new ParkesController('post', { models: { Post }, authorize });
+		});
+
+		it('authorizes viewing deleted records', async () => {
+			const ctx = mockKoaContext({ query: { withDeleted: '1' }, state: {} });
+			await controller.show(ctx);
+
+			expect(authorize).to.have.been.calledWith(ctx, sinon.match({ action: 'viewDeleted' }));
+		});
+
+		it('authorizes permanent deletes separately', async () => {
+			const ctx = mockKoaContext({ state: {}, get: () => '' });
+			const destroy = sinon.stub().resolves();
+			controller.rest.find = sinon.stub().resolves({ destroy });
+
+			await controller.forceDestroy(ctx, async () => {});
+
+			expect(controller.rest.find).to.have.been.calledWith(ctx, { paranoid: false, lock: true });
+			expect(authorize).to.have.been.calledWith(ctx, sinon.match({ action: 'forceDestroy' }));
+			expect(destroy).to.have.been.calledWith({ force: true });
+		});
+	});
+});
@@ -0,0 +1,133 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const MockModel = require('./util/mockModel');
+const RestHandler = require('../lib/restHandler');
+const { formatError } = require('parkes-rest-error');
+const { schemaForAction, validateBody } = require('../lib/schema');
+const { mockKoaContext } = require('./util/mockKoa');
+
+const { expect } = chai;
+
+const schema = {
+	type: 'object',
+	required: ['name', 'email'],
+	additionalProperties: false,
+	properties: {
+		name: { type: 'string', minLength: 2 },
+		email: { type: 'string', format: 'email' },
+		role: { enum: ['admin', 'member'] },
+		age: { type: 'integer', minimum: 0 },
+		address: {
+			type: 'object',
+			required: ['postcode'],
+			properties: { postcode: { type: 'string', pattern: '^\\d{4}$' } },
+		},
+		tags: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+	},
+};
+
+function errorsFor(body, options) {
+	try {
+		validateBody(body, schema, options);
+	} catch (error) {
+		return error;
+	}
+	return null;
+}
+
+describe('schema', () => {
+	describe('validateBody', () => {
+		it('accepts a valid body', () => {
+			const body = {
+				name: 'Ada', email: 'ada@example.com', role: 'admin', address: { postcode: '2000' }, tags: ['a'],
+			};
+			expect(errorsFor(body)).to.eq(null);
+		});
+
+		it('lists every invalid field in one error', () => {
+			const error = errorsFor({
+				name: 'A',
+				role: 'owner',
+				age: 1.5,
+				address: { postcode: 'abc' },
+				tags: ['a', 2, 'c'],
+				secret: true,
+			});
+
+			expect(error).to.have.property('status', 422);
+			expect(error.errors.map(e => e.field)).to.deep.eq([
+				'email', 'name', 'role', 'age', 'address.postcode', 'tags', 'tags[1]', 'secret',
+			]);
+			expect(error.errors.map(e => e.message)).to.deep.eq([
+				'email is required',
+				'name must be at least 2 characters',
+				'role must be one of admin, member',
+				'age must be an integer',
+				'address.postcode must match ^\\d{4}$',
+				'tags must have at most 2 items',
+				'tags[1] must be a string',
+				'secret is not allowed',
+			]);
+		});
+
+		it('checks formats', () => {
+			const error = errorsFor({ name: 'Ada', email: 'ada' });
+			expect(error.errors[0].message).to.eq('email must be a valid email');
+		});
+
+		it('only enforces top level required properties when not partial', () => {
+			expect(errorsFor({ age: 3 }, { partial: true })).to.eq(null);
+			expect(errorsFor({ address: {} }, { partial: true }).errors[0].message)
+				.to.eq('address.postcode is required');
+		});
+
+		it('keeps the field of each error in the response', () => {
+			const json = formatError(errorsFor({ name: 'Ada' }));
+			expect(json.errors[0]).to.include({
+				field: 'email', status: 422, code: 'validation error', message: 'email is required',
+			});
+		});
+	});
+
+	describe('schemaForAction', () => {
+		it('uses a single schema for every action', () => {
+			expect(schemaForAction(schema, 'update')).to.eq(schema);
+		});
+
+		it('uses the schema for the action', () => {
+			const create = { type: 'object' };
+			expect(schemaForAction({ create }, 'create')).to.eq(create);
+			expect(schemaForAction({ create }, 'update')).to.eq(undefined);
+		});
+	});
+
+	describe('RestHandler', () => {
+		const record = { name: 'Ada', email: 'ada@example.com' };
+		const models = { User: MockModel('User', record) };
+		const rest = new RestHandler('user', { models, schema });
+
+		function context(data) {
+			return mockKoaContext({ request: { body: { data } }, state: {} });
+		}
+
+		it('rejects invalid bodies before hooks run', async () => {
+			const beforeCreate = sinon.spy();
+			rest.on('beforeCreate', beforeCreate);
+			let error;
+			try {
+				await rest.create(context({ name: 'Ada' }));
+			} catch (e) {
+				error = e;
+			}
+			rest.removeListener('beforeCreate', beforeCreate);
+
+			expect(error).to.have.property('code', 'validation error');
+			expect(beforeCreate).to.have.callCount(0);
+		});
+
+		it('allows updates without required fields', async () => {
+			const user = Object.assign({ update: async () => user }, record);
+			await rest.update(context({ name: 'Grace' }), user);
+		});
+	});
+});
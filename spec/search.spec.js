@@ -0,0 +1,161 @@
+const chai = require('chai');
+const sinon = require('sinon');
+const Sequelize = require('sequelize');
+const MockModel = require('./util/mockModel');
+const RestHandler = require('../lib/restHandler');
+const { buildSearch } = require('../lib/search');
+const { mockKoaContext } = require('./util/mockKoa');
+
+const { expect } = chai;
+const { Op } = Sequelize;
+
+const User = {
+	name: 'User',
+	rawAttributes: { name: {}, emailAddress: { field: 'email_address' } },
+};
+const Post = {
+	name: 'Post',
+	rawAttributes: { id: {}, title: {}, body: {} },
+	associations: { user: { target: User, as: 'user' } },
+};
+
+function dialectModel(dialect) {
+	return Object.assign({}, Post, {
+		sequelize: {
+			getDialect: () => dialect,
+			escape: value => `'${value.replace(/'/g, "''")}'`,
+		},
+	});
+}
+
+function search(q, options, model = Post) {
+	return buildSearch(mockKoaContext({ query: { q } }), [], model, options);
+}
+
+describe('search', () => {
+	it('does nothing without ?q=', () => {
+		const include = [{ model: User }];
+		const result = buildSearch(mockKoaContext({ query: {} }), include, Post, { search: ['title'] });
+		expect(result).to.deep.eq({ include, paths: [] });
+	});
+
+	describe('on postgres', () => {
+		it('searches fields with ILIKE', () => {
+			const { where } = search('pride', { search: ['title', 'body'] });
+			expect(where[Op.or]).to.deep.eq([
+				{ title: { [Op.iLike]: '%pride%' } },
+				{ body: { [Op.iLike]: '%pride%' } },
+			]);
+		});
+
+		it('matches by prefix or exactly', () => {
+			const { where } = search('pride', {
+				search: [{ field: 'title', match: 'prefix' }, { field: 'body', match: 'exact' }],
+			});
+			expect(where[Op.or]).to.deep.eq([
+				{ title: { [Op.iLike]: 'pride%' } },
+				{ body: { [Op.iLike]: 'pride' } },
+			]);
+		});
+
+		it('escapes wildcards in the text', () => {
+			const { where } = search('100%_off', { search: ['title'] });
+			expect(where[Op.or]).to.deep.eq([{ title: { [Op.iLike]: '%100\\%\\_off%' } }]);
+		});
+
+		it('searches association fields and includes them', () => {
+			const { where, include, paths } = search('ada', { search: ['title', 'user.name'] });
+			expect(where[Op.or][1]).to.deep.eq({ '$user.name$': { [Op.iLike]: '%ada%' } });
+			expect(include).to.deep.eq([{ model: User, as: 'user', attributes: [] }]);
+			expect(paths).to.deep.eq([[{ model: User, as: 'user' }]]);
+		});
+
+		it('rejects an unknown match', () => {
+			expect(() => search('ada', { search: [{ field: 'title', match: 'fuzzy' }] }))
+				.to.throw('Search match for title must be one of contains, prefix, exact');
+		});
+	});
+
+	describe('on mysql', () => {
+		it('compares lower case text with LIKE', () => {
+			const { where } = search('Pride', { search: ['title', 'user.emailAddress'] }, dialectModel('mysql'));
+			const [title, email] = where[Op.or];
+
+			expect(title.comparator).to.eq('LIKE');
+			expect(title.logic).to.eq('%pride%');
+			expect(title.attribute.fn).to.eq('lower');
+			expect(title.attribute.args[0].col).to.eq('Post.title');
+			expect(email.attribute.args[0].col).to.eq('user.email_address');
+		});
+	});
+
+	describe('on sqlite', () => {
+		it('declares the escape character', () => {
+			const { where } = search('50%', { search: [{ field: 'title', match: 'prefix' }] }, dialectModel('sqlite'));
+			const [title] = where[Op.or];
+
+			expect(title.logic.val).to.eq("'50\\%%' ESCAPE '\\'");
+		});
+	});
+
+	describe('full text', () => {
+		const options = { search: ['title', 'user.name'], searchMode: 'fulltext' };
+
+		it('matches a tsvector of the fields against the query', () => {
+			const { where } = search('equal pay', options, dialectModel('postgres'));
+			const [language, document] = where.attribute.args;
+
+			expect(where.attribute.fn).to.eq('to_tsvector');
+			expect(language).to.eq('english');
+			expect(document.args.slice(1).map(arg => arg.col)).to.deep.eq(['Post.title', 'user.name']);
+			expect(where.logic.fn).to.eq('plainto_tsquery');
+			expect(where.logic.args).to.deep.eq(['english', 'equal pay']);
+		});
+
+		it('orders by rank', () => {
+			const { order } = search('equal pay', options, dialectModel('postgres'));
+			expect(order[0][0].fn).to.eq('ts_rank');
+			expect(order[0][1]).to.eq('DESC');
+		});
+
+		it('uses the search language', () => {
+			const result = search('equal', Object.assign({ searchLanguage: 'simple' }, options), dialectModel('postgres'));
+			expect(result.where.logic.args[0]).to.eq('simple');
+		});
+
+		it('is only supported on postgres', () => {
+			expect(() => search('equal', options, dialectModel('mysql')))
+				.to.throw('Full text search is not supported by mysql');
+		});
+	});
+
+	describe('RestHandler#index', () => {
+		let models;
+
+		function index(query, options) {
+			const rest = new RestHandler('post', Object.assign({ models, search: ['title'] }, options));
+			return rest.index(mockKoaContext({ query, href: 'http://api/posts' }));
+		}
+
+		beforeEach(() => {
+			models = { Post: MockModel('Post', { id: 1, title: 'Equal pay' }) };
+			models.Post.sequelize.getDialect = () => 'postgres';
+			models.Post.findAndCountAll = sinon.spy(async () => ({ count: 0, rows: [] }));
+		});
+
+		it('orders full text results by rank before the default sort', async () => {
+			await index({ q: 'equal' }, { searchMode: 'fulltext' });
+			const { order } = models.Post.findAndCountAll.firstCall.args[0];
+
+			expect(order[0][0].fn).to.eq('ts_rank');
+			expect(order[1]).to.deep.eq(['id', 'DESC']);
+		});
+
+		it('keeps the requested sort', async () => {
+			await index({ q: 'equal', sort: 'title' }, { searchMode: 'fulltext', sortable: ['title'] });
+			const { order } = models.Post.findAndCountAll.firstCall.args[0];
+
+			expect(order).to.deep.eq([['title', 'ASC']]);
+		});
+	});
+});
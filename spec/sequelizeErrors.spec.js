@@ -0,0 +1,124 @@
+const chai = require('chai');
+const {
+	ValidationError,
+	ValidationErrorItem,
+	UniqueConstraintError,
+	ForeignKeyConstraintError,
+	DatabaseError,
+} = require('sequelize');
+const { RestError, formatError } = require('parkes-rest-error');
+const MockModel = require('./util/mockModel');
+const RestHandler = require('../lib/restHandler');
+const { translateError } = require('../lib/sequelizeErrors');
+const { mockKoaContext } = require('./util/mockKoa');
+
+const { expect } = chai;
+
+const modelClass = {
+	rawAttributes: {
+		email: { field: 'emailAddress' },
+		userId: { field: 'user_id' },
+	},
+};
+const context = { action: 'create', name: 'User', modelClass };
+
+function sqlError(message, detail) {
+	return Object.assign(new Error(message), { detail, sql: 'INSERT INTO "users" ...' });
+}
+
+describe('sequelizeErrors', () => {
+	describe('translateError', () => {
+		it('lists each field of a validation error', () => {
+			const error = translateError(new ValidationError('Validation error', [
+				new ValidationErrorItem('email must be an email', 'Validation error', 'email'),
+				new ValidationErrorItem('name cannot be null', 'notNull Violation', 'name'),
+			]), context);
+
+			const { status, errors } = formatError(error);
+			expect(status).to.eq(422);
+			expect(errors.map(e => [e.field, e.code, e.message])).to.deep.eq([
+				['email', 'validation error', 'email must be an email'],
+				['name', 'notnull violation', 'name is required'],
+			]);
+		});
+
+		it('gives a conflict with the fields that are not unique', () => {
+			const error = translateError(new UniqueConstraintError({
+				fields: { emailAddress: 'ada@example.com' },
+				parent: sqlError('duplicate key value violates unique constraint "users_email_key"'),
+			}), context);
+
+			expect(error).to.have.property('status', 409);
+			expect(error.errors).to.deep.eq([{
+				field: 'email', message: 'A User with that email already exists',
+			}]);
+		});
+
+		it('gives a 404 when a foreign key refers to a missing record', () => {
+			const error = translateError(new ForeignKeyConstraintError({
+				parent: sqlError(
+					'insert or update on table "posts" violates foreign key constraint',
+					'Key (user_id)=(5) is not present in table "users".',
+				),
+			}), context);
+
+			expect(error).to.have.property('status', 404);
+			expect(error.message).to.eq('The record referred to by userId could not be found');
+		});
+
+		it('gives a 400 when deleting a record that is referred to', () => {
+			const error = translateError(new ForeignKeyConstraintError({
+				parent: sqlError(
+					'update or delete on table "users" violates foreign key constraint',
+					'Key (id)=(5) is still referenced from table "posts".',
+				),
+			}), Object.assign({}, context, { action: 'destroy' }));
+
+			expect(error).to.have.property('status', 400);
+			expect(error.message).to.eq('The User cannot be deleted while other records refer to it');
+		});
+
+		it('does not leak SQL from database errors', () => {
+			const error = translateError(new DatabaseError(sqlError('relation "users" does not exist')), context);
+
+			expect(error).to.have.property('status', 500);
+			expect(error.message).to.eq('A database error occurred');
+		});
+
+		it('uses custom mappers before the defaults', () => {
+			const mappers = {
+				SequelizeUniqueConstraintError: () => new RestError({ status: 400, code: 'taken', message: 'Taken' }),
+				SequelizeValidationError: () => null,
+			};
+
+			const unique = translateError(new UniqueConstraintError({}), context, mappers);
+			expect(unique).to.have.property('code', 'taken');
+			const validation = translateError(new ValidationError('invalid', []), context, mappers);
+			expect(validation).to.have.property('status', 422);
+		});
+
+		it('does not change other errors', () => {
+			const error = new Error('Something else');
+			expect(translateError(error, context)).to.eq(error);
+		});
+	});
+
+	describe('RestHandler', () => {
+		it('translates errors thrown by create', async () => {
+			const model = MockModel('User', {});
+			model.create = async () => { throw new UniqueConstraintError({ fields: { uuid: 'abc' } }); };
+			const rest = new RestHandler('user', { models: { User: model } });
+			const ctx = mockKoaContext({ request: { body: { data: { name: 'Ada' } } }, state: {} });
+
+			let error;
+			try {
+				await rest.create(ctx);
+			} catch (e) {
+				error = e;
+			}
+
+			expect(error).to.have.property('status', 409);
+			expect(error).to.have.property('code', 'already exists');
+		});
+	});
+});
@@ -0,0 +1,82 @@
+const chai = require('chai');
+const { buildSort } = require('../lib/sort');
+const { mockKoaContext } = require('./util/mockKoa');
+
+const { expect } = chai;
+
+const Profile = { name: 'Profile', rawAttributes: { bio: {} } };
+const User = {
+	name: 'User',
+	rawAttributes: { name: {} },
+	associations: { profile: { target: Profile, as: 'profile' } },
+};
+const Post = {
+	name: 'Post',
+	rawAttributes: { id: {}, title: {}, createdAt: {} },
+	associations: { user: { target: User, as: 'user' } },
+};
+
+const options = { defaultSort: '-id' };
+
+function sort(query, opts) {
+	return buildSort(mockKoaContext({ query }), [], Post, Object.assign({}, options, opts));
+}
+
+describe('sort', () => {
+	it('uses the default sort', () => {
+		expect(sort({}).order).to.deep.eq([['id', 'DESC']]);
+	});
+
+	it('applies ?order= to the default sort', () => {
+		expect(sort({ order: 'ASC' }).order).to.deep.eq([['id', 'ASC']]);
+		expect(sort({ order: 'desc' }, { defaultSort: '-createdAt,title' }).order)
+			.to.deep.eq([['createdAt', 'DESC'], ['title', 'DESC']]);
+	});
+
+	it('sorts by multiple columns', () => {
+		expect(sort({ sort: '-createdAt,title' }).order)
+			.to.deep.eq([['createdAt', 'DESC'], ['title', 'ASC']]);
+	});
+
+	it('honours ?order= for columns without a prefix', () => {
+		expect(sort({ sort: 'title', order: 'desc' }).order).to.deep.eq([['title', 'DESC']]);
+	});
+
+	it('only allows attributes of the model by default', () => {
+		expect(() => sort({ sort: 'password' })).to.throw('You cannot sort by password');
+	});
+
+	it('rejects columns that are not sortable', () => {
+		expect(() => sort({ sort: 'title' }, { sortable: ['createdAt'] }))
+			.to.throw('You cannot sort by title');
+	});
+
+	it('rejects an invalid order', () => {
+		expect(() => sort({ sort: 'title', order: 'sideways' })).to.throw('order must be one of');
+	});
+
+	it('sorts by association columns and includes them', () => {
+		const result = sort({ sort: 'user.profile.bio' }, { sortable: ['user.profile.bio'] });
+
+		expect(result.order).to.deep.eq([[
+			{ model: User, as: 'user' },
+			{ model: Profile, as: 'profile' },
+			'bio',
+			'ASC',
+		]]);
+		expect(result.include).to.deep.eq([{
+			model: User,
+			as: 'user',
+			attributes: [],
+			include: [{ model: Profile, as: 'profile', attributes: [] }],
+		}]);
+	});
+
+	it('does not replace an existing include', () => {
+		const include = [{ model: User, as: 'user', where: { name: 'Harvey' } }];
+		const ctx = mockKoaContext({ query: { sort: '-user.name' } });
+		const result = buildSort(ctx, include, Post, { sortable: ['user.name'] });
+
+		expect(result.include).to.deep.eq(include);
+	});
+});
@@ -4,6 +4,7 @@ async function returnSelf() { return this; }
 
 function MockModel(name, dummyRecord) {
 	const mock = {
+		name,
 		findAll: async () => [dummyRecord],
 		findAndCountAll: async (opts) => {
 			const result = { count: 1, rows: [dummyRecord] };
@@ -14,6 +15,9 @@ function MockModel(name, dummyRecord) {
 		create: async () => dummyRecord,
 		destroy: async () => undefined,
 		update: async () => dummyRecord,
+		sequelize: {
+			transaction: async () => ({ commit: noop, rollback: noop }),
+		},
 	};
 
 	return mock;
@@ -0,0 +1,24 @@
+const MockModel = require('./mockModel');
+
+/* A User model with rawAttributes, and the model that records its changes (eg Audit) */
+function mockUserModels(logModelName) {
+	const User = MockModel('User', {});
+	User.rawAttributes = {
+		id: {}, uuid: {}, name: {}, password: {},
+	};
+
+	return { [logModelName]: MockModel(logModelName, {}), User };
+}
+
+/* A user record whose update and destroy change the record in place */
+function mockUserRecord() {
+	const record = {
+		id: 1, uuid: 'user-1', name: 'Ada', password: 'secret',
+	};
+	record.update = async (data) => { Object.assign(record, data); };
+	record.destroy = async () => record;
+	return record;
+}
+
+exports.mockUserModels = mockUserModels;
+exports.mockUserRecord = mockUserRecord;
@@ -0,0 +1,88 @@
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const MockModel = require('./util/mockModel');
+const RestHandler = require('../lib/restHandler');
+const { dataPaths, pathsNotWritable, restrictedInPaths } = require('../lib/writable');
+const { mockKoaContext } = require('./util/mockKoa');
+
+chai.use(chaiAsPromised);
+
+const { expect } = chai;
+
+const campaign = { id: 1, name: 'Equality', public: { theme: 'dark', banner: 'a.png' } };
+
+function context(isAdmin, data, type) {
+	return mockKoaContext({
+		request: { body: data, type }, state: { user: { isAdmin } }, get: () => '',
+	});
+}
+
+describe('writable', () => {
+	describe('dataPaths', () => {
+		it('follows nested objects', () => {
+			expect(dataPaths({ name: 'a', public: { theme: { color: 'red' }, tags: ['a'] }, empty: {} }))
+				.to.deep.eq(['name', 'public.theme.color', 'public.tags', 'empty']);
+		});
+	});
+
+	describe('pathsNotWritable', () => {
+		it('allows paths within writable attributes', () => {
+			expect(pathsNotWritable(['name', 'public.theme', 'public.banner', 'password'], ['name', 'public.theme']))
+				.to.deep.eq(['public.banner', 'password']);
+		});
+	});
+
+	describe('restrictedInPaths', () => {
+		it('finds restricted attributes, including nested ones', () => {
+			expect(restrictedInPaths(['name', 'public.secret.key'], ['id', 'public.secret']))
+				.to.deep.eq(['public.secret']);
+		});
+	});
+
+	describe('RestHandler with options.writable', () => {
+		const models = { Campaign: MockModel('Campaign', campaign) };
+		const rest = new RestHandler('campaign', {
+			models,
+			writable: (ctx, action) => {
+				const fields = ['name', 'public.theme'];
+				if (action === 'create') fields.push('slug');
+				if (ctx.state.user.isAdmin) fields.push('internal');
+				return fields;
+			},
+		});
+		const record = Object.assign({ update: async () => record }, campaign);
+
+		it('allows fields by caller', async () => {
+			const data = { internal: true };
+			await rest.update(context(true, { data }), record);
+
+			const error = await expect(rest.update(context(false, { data }), record))
+				.to.be.rejectedWith('You may not update the fields: internal');
+			expect(error).to.have.property('code', 'restricted field');
+		});
+
+		it('allows fields on create only', async () => {
+			await rest.create(context(false, { data: { name: 'Pride', slug: 'pride' } }));
+
+			await expect(rest.update(context(false, { data: { slug: 'pride' } }), record))
+				.to.be.rejectedWith('You may not update the fields: slug');
+		});
+
+		it('checks nested objects', async () => {
+			await rest.update(context(false, { data: { public: { theme: 'light' } } }), record);
+
+			const data = { public: { banner: 'b.png' } };
+			await expect(rest.update(context(false, { data }), record))
+				.to.be.rejectedWith('You may not update the fields: public.banner');
+		});
+
+		it('checks the paths that a patch touches', async () => {
+			const patch = [{ op: 'replace', path: '/public/theme', value: 'light' }];
+			await rest.update(context(false, patch, 'application/json-patch+json'), record);
+
+			const merge = { public: { banner: null } };
+			await expect(rest.update(context(false, merge, 'application/merge-patch+json'), record))
+				.to.be.rejectedWith('You may not update the fields: public.banner');
+		});
+	});
+});